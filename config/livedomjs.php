@@ -7,6 +7,9 @@ return [
      | Route Prefix
      |--------------------------------------------------------------------
      | Endpoint dinamis akan terdaftar sebagai: /{prefix}/{controller}/{action}
+     | livedom.js membaca prefix ini (plus sub-path aplikasi) dari meta tag
+     | "livedom-endpoint" yang disisipkan otomatis, jadi tidak perlu diubah
+     | di sisi JS. Per-subtree bisa di-override dengan atribut live-endpoint.
      */
     'route_prefix' => 'ajax',
 
@@ -79,4 +82,31 @@ return [
      */
     'serve_assets' => true,
 
+    /*
+     |--------------------------------------------------------------------
+     | Chunked Upload Storage
+     |--------------------------------------------------------------------
+     | Lokasi penyimpanan sementara chunk dari live-upload-chunk (null =
+     | storage/app/livedom-chunks). Chunk dari upload yang tidak pernah
+     | selesai dihapus setelah `chunk_ttl` jam, supaya upload yang putus
+     | masih bisa dilanjutkan dalam rentang waktu itu (dicek di setiap
+     | request chunk). `chunk_max_chunks` dan `chunk_max_size` (byte)
+     | membatasi satu upload; `chunk_owner_max_uploads` dan
+     | `chunk_owner_max_size` membatasi semua upload yang belum selesai milik
+     | satu session (atau IP). Request yang melebihinya ditolak sebelum chunk
+     | ditulis ke disk.
+     |
+     | Chunk ditulis sebelum action jalan, jadi default-nya tidak ada action
+     | yang boleh menerima chunk: daftarkan di `chunk_actions`
+     | ('ImportController@store', 'Admin/MediaController@*') atau definisikan
+     | authorizeChunkUpload(Request $request, string $action) di controller.
+     */
+    'chunk_path' => null,
+    'chunk_ttl' => 24,
+    'chunk_actions' => [],
+    'chunk_max_chunks' => 10000,
+    'chunk_max_size' => 1024 * 1024 * 1024,
+    'chunk_owner_max_uploads' => 5,
+    'chunk_owner_max_size' => 2 * 1024 * 1024 * 1024,
+
 ];
@@ -51,11 +51,42 @@
     function isEl(el, selector) {
         return !!(el && el.matches && el.matches(selector));
     }
+    // Identitas stabil per elemen (untuk key debounce/sync per baris) tanpa
+    // menempelkan atribut apa pun ke DOM.
+    const liveElementIds = new WeakMap();
+    let liveElementSeq = 0;
+    function elementKey(el) {
+        if (!liveElementIds.has(el)) {
+            liveElementIds.set(el, `el${++liveElementSeq}`);
+        }
+        return liveElementIds.get(el);
+    }
     function csrfToken() {
         const meta = qs('meta[name="csrf-token"]');
         return meta ? meta.getAttribute("content") : "";
     }
 
+    /**
+     * Base URL endpoint AJAX dinamis (tanpa trailing slash). Urutan prioritas:
+     *   1. live-endpoint="..." pada ancestor terdekat elemen (mis. live-scope)
+     *   2. LiveDom.config.endpoint (diset manual dari JS)
+     *   3. <meta name="livedom-endpoint"> yang disisipkan middleware/komponen
+     *      Blade — sudah memperhitungkan route_prefix & sub-path aplikasi
+     *   4. "/ajax" (default lama)
+     * @param {Element} [el] - Elemen konteks (pemicu, target, atau scope).
+     * @returns {string}
+     */
+    function resolveEndpoint(el) {
+        const scoped = el instanceof Element ? closestAncestor(el, "[live-endpoint]") : null;
+        const meta = qs('meta[name="livedom-endpoint"]');
+        const base =
+            (scoped && scoped.getAttribute("live-endpoint")) ||
+            window.LiveDom.config?.endpoint ||
+            (meta && meta.getAttribute("content")) ||
+            "/ajax";
+        return base.replace(/\/+$/, "");
+    }
+
     // Replikasi PERSIS algoritma jQuery.param() (mode default, traditional:false)
     // — ini yang dipakai $.ajax secara internal untuk mengubah object `data`
     // jadi query string saat method GET. Ditulis ulang manual karena
@@ -123,6 +154,348 @@
         return s.join("&");
     }
 
+    window.LiveDom = window.LiveDom || {};
+
+    /*==============================
+        REQUEST PIPELINE (INTERCEPTORS)
+    ==============================*/
+
+    // Setiap request yang dibuat library ini — live-* events, pollers,
+    // batch, navigasi & form SPA, re-fetch realtime — lewat liveFetch(),
+    // jadi interceptor cukup didaftarkan sekali di sini.
+    const liveInterceptors = { request: [], response: [] };
+
+    function createInterceptorManager(list) {
+        return {
+            /**
+             * @param {function} fulfilled
+             * @param {function} [rejected]
+             * @returns {number} Id untuk eject().
+             */
+            use(fulfilled, rejected) {
+                list.push({ fulfilled, rejected });
+                return list.length - 1;
+            },
+            eject(id) {
+                if (list[id]) list[id] = null;
+            },
+        };
+    }
+
+    /**
+     * Global request/response interceptors.
+     *
+     *   LiveDom.interceptors.request.use((config) => {
+     *       config.headers["X-Tenant"] = tenantId;
+     *       if (config.json) config.json.locale = "id";
+     *       return config;            // atau `return new Response(...)` untuk short-circuit
+     *   });
+     *
+     *   LiveDom.interceptors.response.use(
+     *       (response, config) => response,   // boleh return Response baru / throw
+     *       (error, config) => { throw error; } // boleh return Response untuk recover
+     *   );
+     *
+     * `config` berisi `url`, opsi fetch (`method`, `headers` sebagai object,
+     * `body`, `signal`), `json` (payload object yang belum diserialisasi untuk
+     * request JSON) dan `meta` (`source`: "ajax" | "batch" | "spa" | "spa-form",
+     * plus `controller`/`action`/`el` bila ada). Semua fungsi boleh async.
+     */
+    window.LiveDom.interceptors = {
+        request: createInterceptorManager(liveInterceptors.request),
+        response: createInterceptorManager(liveInterceptors.response),
+    };
+
+    /**
+     * fetch() wrapper that runs the interceptor chain.
+     * @param {string} url
+     * @param {object} [init={}] - fetch options; `json` is serialized as the body.
+     * @param {object} [meta={}] - Request context exposed to interceptors.
+     * @returns {Promise<Response>}
+     */
+    async function liveFetch(url, init = {}, meta = {}) {
+        let config = {
+            ...init,
+            url,
+            headers: { ...(init.headers || {}) },
+            meta,
+        };
+
+        for (const interceptor of liveInterceptors.request) {
+            if (!interceptor || !interceptor.fulfilled) continue;
+            const result = await interceptor.fulfilled(config);
+            if (result instanceof Response) {
+                return runResponseInterceptors(Promise.resolve(result), config);
+            }
+            if (result) config = result;
+        }
+
+        const { url: finalUrl, meta: _meta, json, onUploadProgress, ...fetchInit } = config;
+        if (json !== undefined) {
+            fetchInit.headers = { ...fetchInit.headers, "Content-Type": "application/json" };
+            fetchInit.body = JSON.stringify(json);
+        }
+
+        // fetch() tidak punya event progress upload — kalau diminta, kirim
+        // lewat XHR tapi tetap kembalikan Response supaya pipeline sama.
+        const method = (fetchInit.method || "GET").toUpperCase();
+        const send = (init) => {
+            if (typeof onUploadProgress === "function") {
+                return xhrFetch(finalUrl, init, onUploadProgress);
+            }
+            if (method === "GET" && window.LiveDom.config?.dedupe !== false) {
+                return sharedGet(finalUrl, init);
+            }
+            return fetch(finalUrl, init);
+        };
+
+        // 419 = token CSRF kadaluarsa (tab dibiarkan terbuka semalaman):
+        // ambil token baru lalu kirim ulang SEKALI secara transparan.
+        const transport = send(fetchInit).then((response) =>
+            response.status === 419 && !["GET", "HEAD"].includes(method)
+                ? replayWithFreshCsrf(fetchInit, send)
+                : response,
+        );
+
+        return runResponseInterceptors(transport, config);
+    }
+
+    /*
+     * CSRF refresh. Token baru diambil dari GET /{prefix}/_csrf (route
+     * package), lalu meta tag csrf-token dan semua input `_token` di halaman
+     * diperbarui supaya request berikutnya langsung memakai token baru.
+     * Beberapa request yang kena 419 bersamaan berbagi satu refresh.
+     */
+    let csrfRefreshPromise = null;
+    let sessionPromptOpen = false;
+
+    function refreshCsrfToken() {
+        if (!csrfRefreshPromise) {
+            csrfRefreshPromise = fetch(`${resolveEndpoint()}/_csrf`, {
+                headers: {
+                    Accept: "application/json",
+                    "X-Requested-With": "XMLHttpRequest",
+                },
+                credentials: "same-origin",
+                cache: "no-store",
+            })
+                .then((res) => (res.ok ? res.json() : null))
+                .then((body) => {
+                    const token = body?.token || null;
+                    if (token) applyCsrfToken(token);
+                    return token;
+                })
+                .catch(() => null)
+                .finally(() => {
+                    csrfRefreshPromise = null;
+                });
+        }
+        return csrfRefreshPromise;
+    }
+
+    function applyCsrfToken(token) {
+        let meta = qs('meta[name="csrf-token"]');
+        if (!meta) {
+            meta = document.createElement("meta");
+            meta.setAttribute("name", "csrf-token");
+            document.head.appendChild(meta);
+        }
+        meta.setAttribute("content", token);
+        qsa('input[name="_token"]').forEach((input) => {
+            input.value = token;
+        });
+    }
+
+    /**
+     * Copies fetch init with the new token in the X-CSRF-TOKEN header and in
+     * any `_token` field of the body (FormData, URLSearchParams or JSON).
+     */
+    function withCsrfToken(init, token) {
+        const next = { ...init, headers: { ...(init.headers || {}), "X-CSRF-TOKEN": token } };
+        const body = init.body;
+
+        if (body instanceof FormData || body instanceof URLSearchParams) {
+            if (body.has("_token")) body.set("_token", token);
+        } else if (typeof body === "string") {
+            try {
+                const parsed = JSON.parse(body);
+                if (parsed && typeof parsed === "object" && "_token" in parsed) {
+                    next.body = JSON.stringify({ ...parsed, _token: token });
+                }
+            } catch (e) {
+                // Bukan JSON — biarkan apa adanya.
+            }
+        }
+        return next;
+    }
+
+    async function replayWithFreshCsrf(init, send) {
+        const token = await refreshCsrfToken();
+        if (token) {
+            const replay = await send(withCsrfToken(init, token));
+            if (replay.status !== 419) return replay;
+        }
+
+        showSessionExpiredPrompt();
+        throw createLiveDomError("session", "Session expired (HTTP 419)", { status: 419 });
+    }
+
+    function showSessionExpiredPrompt() {
+        if (sessionPromptOpen) return;
+        sessionPromptOpen = true;
+        const texts = window.LiveDom.config?.sessionExpired || {};
+        showConfirmDialog({
+            title: texts.title || "Sesi berakhir",
+            message:
+                texts.message ||
+                "Sesi Anda telah berakhir. Muat ulang halaman untuk melanjutkan.",
+            confirmText: texts.confirmText || "Muat ulang",
+            cancelText: texts.cancelText || "Nanti",
+        }).then((reload) => {
+            sessionPromptOpen = false;
+            if (reload) window.location.reload();
+        });
+    }
+
+    /**
+     * GET identik (URL + header sama) yang masih berjalan digabung jadi satu
+     * network call; setiap pemanggil menerima `response.clone()` sendiri,
+     * jadi poller, hover preview dan re-fetch realtime yang bersamaan cukup
+     * satu request. Abort dari satu pemanggil hanya menolak promise-nya
+     * sendiri — request bersama baru dibatalkan kalau SEMUA pemanggilnya
+     * abort. Matikan dengan LiveDom.config.dedupe = false.
+     */
+    const inflightGets = new Map();
+
+    // Debug counter: berapa request jaringan yang dihemat oleh dedupe.
+    window.LiveDom.stats = window.LiveDom.stats || { dedupedRequests: 0 };
+
+    function sharedGet(url, init) {
+        const { signal, ...sharedInit } = init;
+        const key = `${url}|${stableSerialize(sharedInit.headers || {})}`;
+
+        let entry = inflightGets.get(key);
+        if (entry) {
+            window.LiveDom.stats.dedupedRequests++;
+            if (IS_DEBUG) {
+                console.log(
+                    `[LiveDom] Deduplicated GET ${url} (saved ${window.LiveDom.stats.dedupedRequests} so far)`,
+                );
+            }
+        } else {
+            const controller = new AbortController();
+            entry = {
+                controller,
+                callers: 0,
+                promise: fetch(url, { ...sharedInit, signal: controller.signal }),
+            };
+            inflightGets.set(key, entry);
+            entry.promise
+                .catch(() => {})
+                .finally(() => {
+                    if (inflightGets.get(key) === entry) inflightGets.delete(key);
+                });
+        }
+
+        const shared = entry;
+        shared.callers++;
+
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const settle = (fn, value) => {
+                if (settled) return;
+                settled = true;
+                signal?.removeEventListener("abort", onAbort);
+                fn(value);
+            };
+            const onAbort = () => {
+                settle(reject, new DOMException("The operation was aborted.", "AbortError"));
+                if (--shared.callers === 0) {
+                    shared.controller.abort();
+                    if (inflightGets.get(key) === shared) inflightGets.delete(key);
+                }
+            };
+
+            if (signal?.aborted) return onAbort();
+            signal?.addEventListener("abort", onAbort, { once: true });
+
+            shared.promise.then(
+                (response) => settle(resolve, response.clone()),
+                (err) => settle(reject, err),
+            );
+        });
+    }
+
+    /**
+     * Minimal fetch() stand-in on XMLHttpRequest that reports upload progress.
+     * @param {string} url
+     * @param {object} init - method, headers (object), body, signal.
+     * @param {function({loaded: number, total: number})} onUploadProgress
+     * @returns {Promise<Response>}
+     */
+    function xhrFetch(url, init, onUploadProgress) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            const signal = init.signal;
+            const abortError = () => new DOMException("The operation was aborted.", "AbortError");
+
+            if (signal?.aborted) return reject(abortError());
+
+            xhr.open(init.method || "GET", url, true);
+            Object.entries(init.headers || {}).forEach(([name, value]) => {
+                if (value !== undefined && value !== null) xhr.setRequestHeader(name, value);
+            });
+
+            xhr.upload.onprogress = (e) => {
+                if (e.lengthComputable) onUploadProgress({ loaded: e.loaded, total: e.total });
+            };
+
+            xhr.onload = () => {
+                const headers = new Headers();
+                xhr.getAllResponseHeaders()
+                    .trim()
+                    .split(/[\r\n]+/)
+                    .forEach((line) => {
+                        const idx = line.indexOf(":");
+                        if (idx > 0) headers.append(line.slice(0, idx).trim(), line.slice(idx + 1).trim());
+                    });
+                const nullBody = [101, 204, 205, 304].includes(xhr.status);
+                resolve(
+                    new Response(nullBody ? null : xhr.responseText, {
+                        status: xhr.status,
+                        statusText: xhr.statusText,
+                        headers,
+                    }),
+                );
+            };
+            xhr.onerror = () => reject(new TypeError("Failed to fetch"));
+            xhr.onabort = () => reject(abortError());
+
+            signal?.addEventListener("abort", () => xhr.abort(), { once: true });
+
+            xhr.send(init.body ?? null);
+        });
+    }
+
+    function runResponseInterceptors(responsePromise, config) {
+        return liveInterceptors.response.reduce((chain, interceptor) => {
+            if (!interceptor) return chain;
+            return chain.then(
+                async (response) =>
+                    interceptor.fulfilled
+                        ? (await interceptor.fulfilled(response, config)) || response
+                        : response,
+                interceptor.rejected
+                    ? async (error) => {
+                        const recovered = await interceptor.rejected(error, config);
+                        if (recovered instanceof Response) return recovered;
+                        throw error;
+                    }
+                    : undefined,
+            );
+        }, responsePromise);
+    }
+
     /*==============================
         AJAX DYNAMIC
     ==============================*/
@@ -141,10 +514,292 @@
      * @param {string} [targetId='#'] - The CSS selector for the target element.
      * @param {boolean} [loading=true] - Whether to show a loading indicator.
      * @param {function} [callback=null] - A custom callback function to handle the response.
+     * @param {boolean} [useCache=false] - Shortcut untuk `options.cache` dengan TTL default.
+     * @param {object} [options={}] - Extra request options.
+     * @param {AbortSignal} [options.signal] - External signal that cancels the request.
+     * @param {boolean} [options.silent=false] - Skip the built-in error toast/modal.
+     * @param {string} [options.endpoint] - Base URL override (lihat resolveEndpoint()).
+     * @param {Element} [options.el] - Elemen konteks untuk mencari live-endpoint.
+     * @param {string} [options.sync="abort"] - Strategi sinkronisasi per key
+     *   (lihat LIVE_SYNC_MODES).
+     * @param {string} [options.syncKey] - Key sinkronisasi; default targetId
+     *   atau kombinasi controller/action/method/data.
+     * @param {number|string|object} [options.cache] - TTL cache ("60s") atau
+     *   { ttl, tags, persist, swr } (lihat normalizeCacheOptions()).
+     * @param {string|string[]} [options.invalidateTags] - Tag cache yang
+     *   di-invalidate saat request ini sukses.
+     * @param {number|string} [options.timeout] - Batas waktu per percobaan
+     *   ("10s"); default LiveDom.config.timeout (0 = tanpa batas).
+     * @param {number} [options.retry] - Jumlah retry untuk request GET;
+     *   default LiveDom.config.retry (0).
+     * @param {function} [options.onUploadProgress] - Dipanggil dengan
+     *   { loaded, total } selama body di-upload (pakai XHR).
+     * @returns {Promise<object>} Resolves with the parsed response envelope,
+     *   rejects with a LiveDomError (or an AbortError).
+     */
+
+    /**
+     * Builds the error every request path rejects with. Dulu error di sini
+     * hanya `new Error("HTTP 500")` + properti tempelan, sehingga pemanggil
+     * tidak bisa membedakan gagal validasi, gagal jaringan, atau envelope
+     * `success: false`. `type` adalah salah satu dari:
+     *   "http"       -> status non-2xx
+     *   "validation" -> status 422 (ValidationException Laravel)
+     *   "response"   -> status 2xx tapi envelope `success: false`
+     *   "network"    -> fetch gagal sebelum ada response
+     *   "timeout"    -> tidak ada response dalam batas live-timeout
+     *   "session"    -> 419 tetap gagal setelah refresh token CSRF
+     * @param {string} type
+     * @param {string} message
+     * @param {object} [details] - status, contentType, rawText, parsed, cause.
+     * @returns {Error}
+     */
+    function createLiveDomError(type, message, details = {}) {
+        const err = new Error(message);
+        err.name = "LiveDomError";
+        err.type = type;
+        Object.assign(err, details);
+        return err;
+    }
+
+    /**
+     * Strategi sinkronisasi request yang berbagi satu key (live-sync):
+     *   abort   -> batalkan request yang masih berjalan, kirim yang baru (default)
+     *   queue   -> antrikan, kirim berurutan setelah yang sebelumnya selesai
+     *   drop    -> abaikan request baru selama masih ada yang berjalan
+     *   replace -> kirim tanpa membatalkan yang lama, tapi hanya response
+     *              terbaru yang diterapkan ke DOM
+     *   all     -> paralel, tanpa sinkronisasi sama sekali
+     */
+    const LIVE_SYNC_MODES = ["abort", "queue", "drop", "replace", "all"];
+    const syncQueues = new Map();
+    const syncGenerations = new Map();
+
+    /**
+     * Timeout & retry (live-timeout / live-retry, LiveDom.config.timeout /
+     * retry / retryDelay / slowAfter). Timeout berlaku per percobaan; retry
+     * hanya untuk request GET (idempotent, termasuk live-poll) yang gagal
+     * karena timeout, jaringan, 408/429 atau 5xx. Jeda antar percobaan
+     * naik eksponensial (retryDelay, 2x, 4x, ...) ditambah jitter acak supaya
+     * banyak client tidak menyerbu server di detik yang sama.
+     *
+     * Default timeout 0 (tanpa batas) — upload besar, chunk dan laporan
+     * panjang tidak boleh terpotong; batas hanya berlaku kalau live-timeout
+     * atau LiveDom.config.timeout diisi.
+     */
+    const DEFAULT_TIMEOUT_MS = 0;
+    const DEFAULT_RETRY_DELAY_MS = 500;
+    const DEFAULT_SLOW_AFTER_MS = 3000;
+    const MAX_RETRY_DELAY_MS = 30000;
+
+    function resolveRequestLimits(method, options) {
+        const config = window.LiveDom.config || {};
+        const retry = parseInt(options.retry ?? config.retry ?? 0, 10);
+        // Upload dengan progress bisa jauh lebih lama dari request biasa:
+        // timeout global tidak berlaku, hanya live-timeout / options.timeout.
+        const timeout = options.onUploadProgress
+            ? options.timeout
+            : options.timeout ?? config.timeout;
+        return {
+            timeout: parseDuration(timeout, DEFAULT_TIMEOUT_MS),
+            retry: method === "GET" && retry > 0 ? retry : 0,
+            retryDelay: parseDuration(config.retryDelay, DEFAULT_RETRY_DELAY_MS),
+            slowAfter: parseDuration(config.slowAfter, DEFAULT_SLOW_AFTER_MS),
+        };
+    }
+
+    function isRetryableError(err) {
+        if (err.partial) return false;
+        if (err.type === "timeout" || err.type === "network") return true;
+        return err.type === "http" && (err.status >= 500 || [408, 429].includes(err.status));
+    }
+
+    function backoffDelay(attempt, baseDelay) {
+        const exponential = Math.min(baseDelay * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+        return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+    }
+
+    function waitFor(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener(
+                "abort",
+                () => {
+                    clearTimeout(timer);
+                    reject(new DOMException("Aborted", "AbortError"));
+                },
+                { once: true },
+            );
+        });
+    }
+
+    /**
+     * Dispatches a request lifecycle event (live-dom:slow, live-dom:timeout,
+     * live-dom:retry) on the trigger element, or on document when the
+     * request has no element in the page.
+     */
+    function emitRequestEvent(el, name, detail) {
+        const target = el?.isConnected ? el : document;
+        target.dispatchEvent(new CustomEvent(name, { bubbles: true, detail }));
+    }
+
+    /**
+     * Cache response dengan TTL (live-cache="60s" / LiveDom.call({ cache })).
+     * Menggantikan cache lama yang single-use. Key diturunkan dari
+     * controller/action/method/payload, jadi dua elemen yang meminta data
+     * yang sama berbagi satu entry. Entry yang sudah lewat TTL tidak langsung
+     * dibuang: selama `swr` aktif (default), nilai lama tetap dipakai untuk
+     * render instan sementara request revalidasi berjalan di belakang
+     * (stale-while-revalidate). Entry hilang saat tag-nya di-invalidate,
+     * saat `LiveDom.cache.clear()`, atau saat tergeser batas jumlah entry.
+     */
+    const DEFAULT_CACHE_TTL_MS = 60000;
+    const LIVE_CACHE_MAX_ENTRIES = 200;
+    const LIVE_CACHE_STORAGE_PREFIX = "livedom:cache:";
+    const responseCache = new Map();
+
+    function stableSerialize(value) {
+        if (value instanceof FormData) {
+            return JSON.stringify(
+                Array.from(value.entries()).map(([name, v]) =>
+                    v instanceof File
+                        ? [name, `file:${v.name}:${v.size}:${v.lastModified}`]
+                        : [name, v],
+                ),
+            );
+        }
+        if (Array.isArray(value)) return `[${value.map(stableSerialize).join(",")}]`;
+        if (value && typeof value === "object") {
+            return `{${Object.keys(value)
+                .sort()
+                .map((k) => `${JSON.stringify(k)}:${stableSerialize(value[k])}`)
+                .join(",")}}`;
+        }
+        return JSON.stringify(value ?? null);
+    }
+
+    function buildCacheKey(method, controller, action, data) {
+        return `${method}:${controller}/${action}:${stableSerialize(data)}`;
+    }
+
+    /**
+     * Normalisasi opsi cache. Terima number (ms), string durasi ("60s")
+     * atau object { ttl, tags, persist, swr }.
+     * @returns {object|null}
      */
+    function normalizeCacheOptions(cache) {
+        if (!cache) return null;
+        const opts = typeof cache === "object" ? cache : { ttl: cache === true ? null : cache };
+        return {
+            ttl: parseDuration(opts.ttl, DEFAULT_CACHE_TTL_MS),
+            tags: toTagList(opts.tags),
+            persist: opts.persist === true || opts.persist === "session",
+            swr: opts.swr !== false,
+        };
+    }
+
+    function toTagList(tags) {
+        if (!tags) return [];
+        return (Array.isArray(tags) ? tags : String(tags).split(","))
+            .map((tag) => String(tag).trim())
+            .filter(Boolean);
+    }
+
+    function readPersistedCache(key) {
+        try {
+            const raw = window.sessionStorage.getItem(LIVE_CACHE_STORAGE_PREFIX + key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function cacheGet(key) {
+        let entry = responseCache.get(key);
+        if (!entry) {
+            entry = readPersistedCache(key);
+            if (entry) responseCache.set(key, entry);
+        }
+        if (!entry) return null;
+        return { value: entry.value, stale: Date.now() > entry.expires };
+    }
+
+    function cacheSet(key, value, opts) {
+        const entry = {
+            value,
+            expires: Date.now() + opts.ttl,
+            tags: opts.tags,
+        };
+        responseCache.delete(key);
+        responseCache.set(key, entry);
+
+        if (responseCache.size > LIVE_CACHE_MAX_ENTRIES) {
+            cacheDelete(responseCache.keys().next().value);
+        }
+
+        if (opts.persist) {
+            try {
+                window.sessionStorage.setItem(
+                    LIVE_CACHE_STORAGE_PREFIX + key,
+                    JSON.stringify(entry),
+                );
+            } catch (e) {
+                // Quota penuh / storage diblokir — cukup simpan di memori.
+            }
+        }
+    }
+
+    function cacheDelete(key) {
+        responseCache.delete(key);
+        try {
+            window.sessionStorage.removeItem(LIVE_CACHE_STORAGE_PREFIX + key);
+        } catch (e) {}
+    }
+
+    function eachPersistedCacheKey(fn) {
+        try {
+            for (let i = window.sessionStorage.length - 1; i >= 0; i--) {
+                const storageKey = window.sessionStorage.key(i);
+                if (storageKey?.startsWith(LIVE_CACHE_STORAGE_PREFIX)) {
+                    fn(storageKey.slice(LIVE_CACHE_STORAGE_PREFIX.length));
+                }
+            }
+        } catch (e) {}
+    }
+
+    function invalidateCacheTags(tags) {
+        const list = toTagList(tags);
+        if (!list.length) return;
+
+        const matches = (entry) => entry?.tags?.some((tag) => list.includes(tag));
+        responseCache.forEach((entry, key) => {
+            if (matches(entry)) cacheDelete(key);
+        });
+        eachPersistedCacheKey((key) => {
+            if (matches(readPersistedCache(key))) cacheDelete(key);
+        });
+
+        document.dispatchEvent(
+            new CustomEvent("live-dom:cacheInvalidated", { detail: { tags: list } }),
+        );
+    }
 
-    // Simpan cache response sementara (single-use)
-    const ajaxCache = new Map();
+    /**
+     * Public cache API.
+     *
+     *   LiveDom.cache.invalidate("products");          // atau ["products", "stock"]
+     *   LiveDom.cache.clear();
+     *
+     * Server juga bisa meng-invalidate lewat header `X-LiveDom-Invalidate`
+     * (lihat helper PHP liveDomInvalidate()).
+     */
+    window.LiveDom.cache = {
+        invalidate: invalidateCacheTags,
+        clear() {
+            responseCache.clear();
+            eachPersistedCacheKey(cacheDelete);
+        },
+    };
 
     // FIX (live-loading): show/hide berbasis refcount, supaya kalau 2 request
     // beririsan menunjuk target loading yang sama, elemen itu tidak ke-hide
@@ -189,161 +844,592 @@
         loading = null,
         callback = null,
         useCache = false,
+        options = {},
     ) {
+        const syncMode = LIVE_SYNC_MODES.includes(options.sync)
+            ? options.sync
+            : "abort";
         const key =
+            options.syncKey ||
             targetId ||
             `${controller}_${action}_${method}_${JSON.stringify(data)}`;
 
+        if (syncMode === "drop" && ajaxDynamicControllers[key]) {
+            // Request sebelumnya masih berjalan — abaikan yang baru ini.
+            const dropped = Promise.reject(
+                new DOMException("Request dropped (live-sync=drop)", "AbortError"),
+            );
+            dropped.catch(() => {});
+            return dropped;
+        }
+
         // ✅ Batalkan request sebelumnya untuk target yang sama
-        if (ajaxDynamicControllers[key]) {
+        if (syncMode === "abort" && ajaxDynamicControllers[key]) {
             ajaxDynamicControllers[key].abort();
         }
 
-        // ✅ Gunakan cache sekali pakai (optional)
-        if (useCache && ajaxCache.has(key)) {
-            const response = ajaxCache.get(key);
-            ajaxCache.delete(key);
-            if (typeof callback === "function") callback(response);
-            else callBackAjaxDynamic(target, targetId, response);
-            return;
+        let generation = 0;
+        if (syncMode === "replace") {
+            generation = (syncGenerations.get(key) || 0) + 1;
+            syncGenerations.set(key, generation);
         }
 
-        const abortController = new AbortController();
-        ajaxDynamicControllers[key] = abortController;
-
-        showLoading(loading);
-
-        const isFormData = data instanceof FormData;
+        // ✅ Cache TTL (live-cache / LiveDom.call({ cache })); `useCache` lama
+        // dipetakan ke TTL default.
+        const cacheOptions = normalizeCacheOptions(options.cache ?? useCache);
+        const cacheKey = cacheOptions
+            ? buildCacheKey(method, controller, action, data)
+            : null;
+        let revalidating = false;
+        if (cacheKey) {
+            const cached = cacheGet(cacheKey);
+            if (cached && (!cached.stale || cacheOptions.swr)) {
+                if (typeof callback === "function") callback(cached.value);
+                else callBackAjaxDynamic(target, targetId, cached.value);
+                if (!cached.stale) return Promise.resolve(cached.value);
+
+                // Stale: nilai lama sudah dirender, revalidasi di belakang
+                // tanpa loading indicator dan tanpa error UI.
+                revalidating = true;
+                loading = null;
+            }
+        }
 
-        // 🔥 Deteksi elemen pemicu LiveDOM
-        const triggerEl = closestAncestor(
-            document.activeElement,
-            "[live-click], [live-change]",
-        );
-        const isRealtime = triggerEl?.getAttribute("live-realtime") === "true";
-        const liveTarget =
-            triggerEl?.getAttribute("live-target") || targetId || "auto";
-
-        // ✅ Tambahkan metadata ke data (untuk AjaxController)
-        if (!isFormData) {
-            data = {
-                ...data,
-                live_target: liveTarget,
-                realtime: isRealtime ? true : false,
+        const dispatch = () => {
+            const abortController = new AbortController();
+            if (syncMode !== "all") ajaxDynamicControllers[key] = abortController;
+            const releaseKey = () => {
+                if (ajaxDynamicControllers[key] === abortController) {
+                    delete ajaxDynamicControllers[key];
+                }
             };
-        } else if (isRealtime) {
-            data.append("realtime", true);
-            data.append("live_target", liveTarget);
-        }
 
-        let url = `/ajax/${controller}/${action}`;
-        const fetchOptions = {
-            method,
-            signal: abortController.signal,
-            headers: {
-                ...(method !== "GET" && { "X-CSRF-TOKEN": csrfToken() }),
-                ...(isRealtime && { "X-Live-Reverb": "true" }),
-            },
-        };
+            // Signal dari luar (LiveDom.call({ signal })) ikut membatalkan request ini.
+            if (options.signal) {
+                if (options.signal.aborted) abortController.abort();
+                else
+                    options.signal.addEventListener(
+                        "abort",
+                        () => abortController.abort(),
+                        { once: true },
+                    );
+            }
 
-        if (method === "GET") {
-            // FIX (serialisasi GET): dulu pakai URLSearchParams + JSON.stringify
-            // untuk value object, yang formatnya BEDA dari jQuery ($.ajax
-            // menyerialisasi `data` object via $.param() secara internal).
-            // Sekarang pakai jqParam() supaya query string yang dihasilkan
-            // identik persis dengan versi jQuery (termasuk array & nested object).
-            const queryString = jqParam(data || {});
-            if (queryString) url += `?${queryString}`;
-        } else if (isFormData) {
-            fetchOptions.body = data;
-        } else {
-            fetchOptions.headers["Content-Type"] = "application/json";
-            fetchOptions.body = JSON.stringify(data);
-        }
+            showLoading(loading);
 
-        console.log("🚀 Sending fetch to", url);
+            const isFormData = data instanceof FormData;
 
-        fetch(url, fetchOptions)
-            .then(async (res) => {
-                const contentType = res.headers.get("content-type") || "";
-                let parsed = null;
-                let rawText = null;
+            // 🔥 Deteksi elemen pemicu LiveDOM
+            const triggerEl = closestAncestor(
+                document.activeElement,
+                "[live-click], [live-change]",
+            );
+            const isRealtime = triggerEl?.getAttribute("live-realtime") === "true";
+            const liveTarget =
+                triggerEl?.getAttribute("live-target") || targetId || "auto";
+
+            // ✅ Tambahkan metadata ke data (untuk AjaxController)
+            if (!isFormData) {
+                data = {
+                    ...data,
+                    live_target: liveTarget,
+                    realtime: isRealtime ? true : false,
+                };
+            } else if (isRealtime) {
+                data.append("realtime", true);
+                data.append("live_target", liveTarget);
+            }
 
-                if (contentType.includes("application/json")) {
-                    parsed = await res.json();
-                } else {
-                    rawText = await res.text();
-                    try {
-                        parsed = JSON.parse(rawText);
-                    } catch {
-                        parsed = null;
-                    }
-                }
+            const endpoint = options.endpoint || resolveEndpoint(options.el);
+            let url = `${endpoint}/${controller}/${action}`;
+            const fetchOptions = {
+                method,
+                signal: abortController.signal,
+                headers: {
+                    ...(method !== "GET" && { "X-CSRF-TOKEN": csrfToken() }),
+                    ...(isRealtime && { "X-Live-Reverb": "true" }),
+                },
+                onUploadProgress: options.onUploadProgress,
+            };
 
-                if (!res.ok) {
-                    const err = new Error(`HTTP ${res.status}`);
-                    err.contentType = contentType;
-                    err.rawText = rawText;
-                    err.parsed = parsed;
-                    throw err;
-                }
+            if (method === "GET") {
+                // FIX (serialisasi GET): dulu pakai URLSearchParams + JSON.stringify
+                // untuk value object, yang formatnya BEDA dari jQuery ($.ajax
+                // menyerialisasi `data` object via $.param() secara internal).
+                // Sekarang pakai jqParam() supaya query string yang dihasilkan
+                // identik persis dengan versi jQuery (termasuk array & nested object).
+                const queryString = jqParam(data || {});
+                if (queryString) url += `?${queryString}`;
+            } else if (isFormData) {
+                fetchOptions.body = data;
+            } else {
+                // Diserialisasi oleh liveFetch() SETELAH interceptor jalan,
+                // supaya interceptor bisa mengubah payload sebagai object.
+                fetchOptions.json = data;
+            }
 
-                console.log("✅ SUCCESS fired", parsed);
-                delete ajaxDynamicControllers[key];
-                if (useCache) ajaxCache.set(key, parsed);
+            console.log("🚀 Sending fetch to", url);
+
+            const limits = resolveRequestLimits(method, options);
+            const eventDetail = { controller, action, url };
+
+            // Satu percobaan: signal sendiri (ikut batal kalau request induk
+            // di-abort) supaya timeout tidak ikut membatalkan retry berikutnya.
+            const sendOnce = (attempt) => {
+                const attemptController = new AbortController();
+                const abortAttempt = () => attemptController.abort();
+                abortController.signal.addEventListener("abort", abortAttempt, { once: true });
+
+                let timedOut = false;
+                const timeoutTimer =
+                    limits.timeout > 0
+                        ? setTimeout(() => {
+                            timedOut = true;
+                            attemptController.abort();
+                        }, limits.timeout)
+                        : null;
+
+                return liveFetch(
+                    url,
+                    { ...fetchOptions, signal: attemptController.signal },
+                    { source: "ajax", controller, action, el: options.el || null },
+                )
+                    .catch((err) => {
+                        if (timedOut || err.name === "AbortError" || err.name === "LiveDomError") throw err;
+                        throw createLiveDomError("network", err.message, { cause: err });
+                    })
+                    .then((res) => {
+                        if (!options.stream || !isStreamResponse(res)) return parseLiveResponse(res);
+                        // Timeout hanya berlaku sampai header diterima — stream
+                        // laporan panjang boleh berjalan lebih lama.
+                        clearTimeout(timeoutTimer);
+                        return readLiveStream(res, options.stream);
+                    })
+                    .catch((err) => {
+                        if (timedOut) {
+                            emitRequestEvent(options.el, "live-dom:timeout", {
+                                ...eventDetail,
+                                attempt,
+                                timeout: limits.timeout,
+                            });
+                            throw createLiveDomError(
+                                "timeout",
+                                `Request timed out after ${limits.timeout}ms`,
+                                { timeout: limits.timeout, url, attempts: attempt, cause: err },
+                            );
+                        }
+                        throw err;
+                    })
+                    .finally(() => {
+                        clearTimeout(timeoutTimer);
+                        abortController.signal.removeEventListener("abort", abortAttempt);
+                    });
+            };
 
-                // ⚡ Jika server sudah melakukan broadcast realtime → skip render lokal
-                if (
-                    parsed?.message?.includes(
-                        "Broadcasted via ReverbDynamic",
-                    ) ||
-                    parsed?.realtime === true
-                ) {
-                    console.log(
-                        "[ReverbDynamic] Broadcasted realtime — skip local DOM update.",
+            const sendWithRetry = (attempt = 1) =>
+                sendOnce(attempt).catch((err) => {
+                    if (
+                        attempt > limits.retry ||
+                        abortController.signal.aborted ||
+                        !isRetryableError(err)
+                    ) {
+                        throw err;
+                    }
+                    const delay = backoffDelay(attempt, limits.retryDelay);
+                    emitRequestEvent(options.el, "live-dom:retry", {
+                        ...eventDetail,
+                        attempt,
+                        retries: limits.retry,
+                        delay,
+                        error: err,
+                    });
+                    return waitFor(delay, abortController.signal).then(() =>
+                        sendWithRetry(attempt + 1),
                     );
-                    return;
-                }
+                });
 
-                if (typeof callback === "function") callback(parsed);
-                else callBackAjaxDynamic(target, targetId, parsed);
-            })
-            .catch((err) => {
-                // (hide loading indicator sudah ditangani oleh `.finally` di bawah)
-                delete ajaxDynamicControllers[key];
+            // "Masih memproses…" — app bisa menampilkan hint lewat event ini.
+            const slowTimer =
+                limits.slowAfter > 0
+                    ? setTimeout(
+                        () => emitRequestEvent(options.el, "live-dom:slow", {
+                            ...eventDetail,
+                            after: limits.slowAfter,
+                        }),
+                        limits.slowAfter,
+                    )
+                    : null;
+
+            const request = sendWithRetry()
+                .then((parsed) => {
+                    console.log("✅ SUCCESS fired", parsed);
+                    releaseKey();
+                    if (parsed?.success !== false) {
+                        if (cacheKey) cacheSet(cacheKey, parsed, cacheOptions);
+                        if (options.invalidateTags) invalidateCacheTags(options.invalidateTags);
+                    }
 
-                if (err.name === "AbortError") return;
+                    // live-sync="replace": request lama dibiarkan selesai di
+                    // server, tapi hanya response TERBARU yang boleh menyentuh DOM.
+                    if (syncMode === "replace" && syncGenerations.get(key) !== generation) {
+                        return parsed;
+                    }
 
-                // ✅ Debug mode → langsung toast, skip modal detail
-                if (!IS_DEBUG) {
-                    const msg = err.parsed?.message || "Terjadi kesalahan.";
-                    showProductionErrorToast(msg);
-                    return;
-                }
+                    // ⚡ Jika server sudah melakukan broadcast realtime → skip render lokal
+                    if (
+                        parsed?.message?.includes(
+                            "Broadcasted via ReverbDynamic",
+                        ) ||
+                        parsed?.realtime === true
+                    ) {
+                        console.log(
+                            "[ReverbDynamic] Broadcasted realtime — skip local DOM update.",
+                        );
+                        return parsed;
+                    }
 
-                // 🛠️ Development mode → tampilkan detail error
-                const contentType = err.contentType || "";
+                    if (typeof callback === "function") callback(parsed);
+                    else callBackAjaxDynamic(target, targetId, parsed);
+                    return parsed;
+                });
 
-                if (contentType.includes("text/html")) {
-                    showErrorModal(err.rawText);
-                    return;
-                }
+            // Handler UI error dipasang langsung ke `request`, jadi pemanggil lama
+            // yang mengabaikan return value tidak memicu "unhandled rejection";
+            // pemanggil baru (LiveDom.call) tetap menerima rejection-nya.
+            request
+                .catch((err) => {
+                    // (hide loading indicator sudah ditangani oleh `.finally` di bawah)
+                    releaseKey();
 
-                let json = err.parsed;
-                if (!json) {
-                    json = { message: "Unparsable response", raw: err.rawText };
-                }
+                    if (err.name === "AbortError") return;
+                    if (options.silent || revalidating) return;
 
-                if (json.production_error) {
-                    showProductionErrorToast(json.message || "Terjadi kesalahan.");
-                    return;
+                    reportLiveError(err, options.el);
+                })
+                .finally(() => {
+                    clearTimeout(slowTimer);
+                    hideLoading(loading);
+                });
+
+            return request;
+        };
+
+        if (syncMode === "queue") {
+            const previous = syncQueues.get(key) || Promise.resolve();
+            const queued = previous.catch(() => {}).then(dispatch);
+            syncQueues.set(key, queued);
+            queued
+                .catch(() => {})
+                .finally(() => {
+                    if (syncQueues.get(key) === queued) syncQueues.delete(key);
+                });
+            return queued;
+        }
+
+        if (revalidating) {
+            const stale = cacheGet(cacheKey).value;
+            dispatch().catch(() => {});
+            return Promise.resolve(stale);
+        }
+
+        return dispatch();
+    }
+
+    /**
+     * Posts several controller calls to the batch endpoint
+     * (`{endpoint}/_batch`, AjaxController@batch) in one round trip.
+     * Data tiap call dikirim sebagai multipart supaya input file tetap ikut:
+     * FormData di-prefix jadi `calls[i][data][name]`, object biasa dikirim
+     * sebagai JSON di `calls[i][json]`. HTTP method tiap call (live-method)
+     * ikut di `calls[i][method]`; batch-nya sendiri selalu POST. Timeout
+     * (live-timeout / LiveDom.config.timeout) berlaku untuk seluruh batch.
+     * @param {Array<{controller: string, action: string, method?: string, data: object|FormData}>} calls
+     * @param {*} loading - Loading indicator target(s).
+     * @param {object} [options={}] - endpoint, el, silent, timeout.
+     * @returns {Promise<object>} The batch envelope `{ success, batch, results }`.
+     */
+    function ajaxBatch(calls, loading, options = {}) {
+        const formData = new FormData();
+
+        calls.forEach((call, i) => {
+            const prefix = `calls[${i}]`;
+            formData.append(`${prefix}[controller]`, call.controller);
+            formData.append(`${prefix}[action]`, call.action);
+            formData.append(`${prefix}[method]`, call.method || "POST");
+
+            if (call.data instanceof FormData) {
+                call.data.forEach((value, name) => {
+                    // "qty" -> "[qty]", "items[0][qty]" -> "[items][0][qty]"
+                    const nested = name.replace(/^([^[]+)/, "[$1]");
+                    formData.append(`${prefix}[data]${nested}`, value);
+                });
+            } else if (call.data) {
+                formData.append(`${prefix}[json]`, JSON.stringify(call.data));
+            }
+        });
+
+        const endpoint = options.endpoint || resolveEndpoint(options.el);
+        const url = `${endpoint}/_batch`;
+        const { timeout } = resolveRequestLimits("POST", options);
+        const abortController = new AbortController();
+        let timedOut = false;
+        const timeoutTimer =
+            timeout > 0
+                ? setTimeout(() => {
+                    timedOut = true;
+                    abortController.abort();
+                }, timeout)
+                : null;
+
+        showLoading(loading);
+        if (IS_DEBUG) console.log("🚀 Sending batch fetch to", url, `(${calls.length} calls)`);
+
+        const request = liveFetch(
+            url,
+            {
+                method: "POST",
+                body: formData,
+                headers: { "X-CSRF-TOKEN": csrfToken() },
+                signal: abortController.signal,
+            },
+            { source: "batch", calls, el: options.el || null },
+        )
+            .catch((err) => {
+                if (timedOut) {
+                    throw createLiveDomError("timeout", `Batch request timed out after ${timeout}ms`, {
+                        timeout,
+                        url,
+                        cause: err,
+                    });
                 }
+                if (err.name === "AbortError" || err.name === "LiveDomError") throw err;
+                throw createLiveDomError("network", err.message, { cause: err });
+            })
+            .then(parseLiveResponse)
+            .finally(() => clearTimeout(timeoutTimer));
 
-                showErrorModal(json);
+        request
+            .catch((err) => {
+                if (err.name === "AbortError" || options.silent) return;
+                reportLiveError(err, options.el);
             })
             .finally(() => {
                 hideLoading(loading);
             });
+
+        return request;
+    }
+
+    /**
+     * Reads a fetch Response into the parsed JSON envelope (atau null kalau
+     * body bukan JSON) and throws a LiveDomError for non-2xx statuses.
+     * @param {Response} res
+     * @returns {Promise<object|null>}
+     */
+    async function parseLiveResponse(res) {
+        const contentType = res.headers.get("content-type") || "";
+        let parsed = null;
+        let rawText = null;
+
+        if (contentType.includes("application/json")) {
+            parsed = await res.json();
+        } else {
+            rawText = await res.text();
+            try {
+                parsed = JSON.parse(rawText);
+            } catch {
+                parsed = null;
+            }
+        }
+
+        if (!res.ok) {
+            throw createLiveDomError(
+                res.status === 422 ? "validation" : "http",
+                parsed?.message || `HTTP ${res.status}`,
+                { status: res.status, contentType, rawText, parsed },
+            );
+        }
+
+        // Server boleh meng-invalidate cache client (liveDomInvalidate() di PHP).
+        invalidateCacheTags(res.headers.get("X-LiveDom-Invalidate"));
+
+        return parsed;
+    }
+
+    /**
+     * Routes an error to a per-status handler before the default UI.
+     * Kunci yang dicoba berurutan: status persis ("401"), kelasnya ("4xx")
+     * lalu tipe error ("network", "timeout"). Prioritas:
+     *   1. live-on-{key} di elemen pemicu / ancestor (mis. live-scope)
+     *   2. LiveDom.config.onStatus[key] (string aksi atau function(err, el))
+     *   3. live-error-target di elemen / ancestor -> pesan inline
+     * Aksi: "redirect:/login", "reload", "inline", "toast", "ignore",
+     * "call:namaFungsi", atau "modal" (= perilaku default).
+     * @param {Error} err
+     * @param {Element|null} el - The triggering element.
+     * @returns {boolean} true kalau error sudah ditangani.
+     */
+    function routeLiveError(err, el) {
+        const keys = [];
+        if (err.status) keys.push(String(err.status), `${String(err.status)[0]}xx`);
+        if (err.type) keys.push(err.type);
+
+        if (el) {
+            for (const key of keys) {
+                const routeEl = closestAncestor(el, `[live-on-${key}]`);
+                if (routeEl) return runErrorAction(routeEl.getAttribute(`live-on-${key}`), err, el);
+            }
+        }
+
+        const onStatus = window.LiveDom.config?.onStatus || {};
+        for (const key of keys) {
+            const handler = onStatus[key];
+            if (handler === undefined || handler === null) continue;
+            const action = typeof handler === "function" ? handler(err, el) : handler;
+            if (action === false) continue;
+            return typeof action === "string" ? runErrorAction(action, err, el) : true;
+        }
+
+        return renderInlineError(err, el);
+    }
+
+    function runErrorAction(action, err, el) {
+        const [name, ...rest] = String(action).trim().split(":");
+        const arg = rest.join(":").trim();
+
+        switch (name) {
+            case "redirect":
+                window.location.assign(arg || "/");
+                return true;
+            case "reload":
+                window.location.reload();
+                return true;
+            case "ignore":
+            case "none":
+                return true;
+            case "inline":
+                return renderInlineError(err, el);
+            case "toast":
+                showProductionErrorToast(liveErrorMessage(err));
+                return true;
+            case "call":
+                if (typeof window[arg] === "function") {
+                    window[arg](err, el);
+                    return true;
+                }
+                console.warn(`[LiveDom] Error handler function "${arg}" not found.`);
+                return false;
+            case "modal":
+            case "default":
+                return false;
+            default:
+                console.warn(`[LiveDom] Unknown error action "${action}".`);
+                return false;
+        }
+    }
+
+    function liveErrorMessage(err) {
+        return err.parsed?.message || "Terjadi kesalahan.";
+    }
+
+    /**
+     * live-error-target="#row-error" (di elemen pemicu atau scope-nya):
+     * pesan error ditulis ke target itu, bukan modal/toast satu halaman.
+     * Target dibersihkan lagi saat elemen mengirim request berikutnya
+     * (lihat clearInlineErrors()).
+     * @returns {boolean} true kalau ada target yang diisi.
+     */
+    function renderInlineError(err, el) {
+        const holder = el && closestAncestor(el, "[live-error-target]");
+        if (!holder) return false;
+
+        const targets = liveTarget(el, holder.getAttribute("live-error-target"));
+        targets.forEach((target) => {
+            // Ingat apakah target awalnya tersembunyi, supaya clear bisa
+            // mengembalikannya.
+            if (!target.hasAttribute("live-error-active")) {
+                const wasHidden = target.hidden || target.style.display === "none";
+                target.setAttribute("live-error-active", wasHidden ? "hidden" : "");
+            }
+            target.textContent = liveErrorMessage(err);
+            target.setAttribute("role", "alert");
+            target.hidden = false;
+            showEl(target);
+        });
+        return targets.length > 0;
+    }
+
+    function clearInlineErrors(el) {
+        const holder = closestAncestor(el, "[live-error-target]");
+        if (!holder) return;
+
+        liveTarget(el, holder.getAttribute("live-error-target"))
+            .filter((target) => target.hasAttribute("live-error-active"))
+            .forEach(resetErrorHolder);
+    }
+
+    /**
+     * Surfaces a failed request to the user: toast ringkas di production,
+     * modal detail di debug mode (app.debug=true), kecuali sudah ditangani
+     * handler per-status (lihat routeLiveError()).
+     * @param {Error} err - Usually a LiveDomError.
+     * @param {Element|null} [el=null] - The triggering element.
+     */
+    function reportLiveError(err, el = null) {
+        // 419 yang tidak bisa dipulihkan sudah ditangani prompt "session
+        // expired" di replayWithFreshCsrf().
+        if (err.type === "session") return;
+
+        emitRequestEvent(el, "live-dom:error", { error: err, status: err.status });
+        const fieldsMarked =
+            err.type === "validation" && handleValidationErrors(err, el);
+        if (routeLiveError(err, el)) return;
+        // Field sudah ditandai inline; toast/modal hanya jadi noise.
+        if (fieldsMarked) return;
+
+        if (err.type === "timeout") {
+            if (!IS_DEBUG) {
+                showProductionErrorToast(
+                    "Server tidak merespons. Silakan coba lagi.",
+                    "Request timed out",
+                );
+                return;
+            }
+            showErrorModal({
+                message: err.message,
+                url: err.url,
+                timeout: err.timeout,
+                attempts: err.attempts,
+            });
+            return;
+        }
+
+        // ✅ Debug mode → langsung toast, skip modal detail
+        if (!IS_DEBUG) {
+            const msg = liveErrorMessage(err);
+            showProductionErrorToast(msg);
+            return;
+        }
+
+        // 🛠️ Development mode → tampilkan detail error
+        const contentType = err.contentType || "";
+
+        if (contentType.includes("text/html")) {
+            showErrorModal(err.rawText);
+            return;
+        }
+
+        let json = err.parsed;
+        if (!json) {
+            json = { message: "Unparsable response", raw: err.rawText };
+        }
+
+        if (json.production_error) {
+            showProductionErrorToast(json.message || "Terjadi kesalahan.");
+            return;
+        }
+
+        showErrorModal(json);
     }
 
     /**
@@ -362,7 +1448,7 @@
                 window[target](response.data, targetId);
             } else if (target === "html") {
                 qsa(`${targetId}`).forEach((el) => {
-                    el.innerHTML = response.data;
+                    el.innerHTML = safeHtml(el, response.data);
                 });
             } else if (typeof target == "function") {
                 target(response.data, targetId);
@@ -384,6 +1470,37 @@
     ==============================*/
 
     const debounceMap = new Map();
+    const throttleMap = new Map();
+
+    // Default debounce untuk trigger non-klik (input, keyup, change, hover)
+    // kalau LiveDom.config.debounce tidak diset.
+    const DEFAULT_DEBOUNCE_MS = 400;
+
+    /**
+     * Parses a duration like "250ms", "1s", "1.5s", "2m" or "0" into milliseconds.
+     * Angka tanpa satuan dianggap milidetik.
+     * @param {string|number} value - The raw duration.
+     * @param {number} [fallback=0] - Returned when the value is empty or invalid.
+     * @returns {number}
+     */
+    function parseDuration(value, fallback = 0) {
+        if (value === null || value === undefined || value === "") return fallback;
+        if (typeof value === "number") return isFinite(value) ? value : fallback;
+
+        const match = String(value)
+            .trim()
+            .match(/^(\d+(?:\.\d+)?)\s*(ms|s|m)?$/i);
+        if (!match) return fallback;
+
+        const amount = parseFloat(match[1]);
+        const unit = (match[2] || "ms").toLowerCase();
+        const factor = unit === "m" ? 60000 : unit === "s" ? 1000 : 1;
+        return Math.round(amount * factor);
+    }
+
+    function defaultDebounceMs() {
+        return parseDuration(window.LiveDom.config?.debounce, DEFAULT_DEBOUNCE_MS);
+    }
 
     /**
      * Executes an AJAX dynamic call with a debounce mechanism to prevent rapid-fire requests.
@@ -395,6 +1512,16 @@
      * @param {string} targetId - The CSS selector for the target element.
      * @param {boolean} loading - Whether to show a loading indicator.
      * @param {function} callback - Custom callback function.
+     * @param {object} [options={}] - Extra request options, diteruskan ke ajaxDynamic().
+     * @param {number} [options.debounce] - Delay in ms; 0 dispatches immediately.
+     *   Default: LiveDom.config.debounce (400ms).
+     * @param {number} [options.throttle] - At most one request per window (ms),
+     *   with a trailing call carrying the latest data. Takes precedence over debounce.
+     * @param {boolean} [options.rejectSuperseded] - Calls replaced by a newer
+     *   one during the debounce reject with an AbortError instead of sharing
+     *   its result (LiveDom.call: each call carries its own payload).
+     * @returns {Promise<object>} Settles with the request that finally fires —
+     *   calls collapsed by the debounce share that same result.
      */
     function debouncedAjaxDynamic(
         methodType,
@@ -405,14 +1532,15 @@
         targetId,
         loading,
         callback,
+        options = {},
     ) {
-        const key = `${controller}::${method}`;
-
-        if (debounceMap.has(key)) {
-            clearTimeout(debounceMap.get(key));
-        }
-
-        const timer = setTimeout(() => {
+        // Key per elemen pemicu supaya klik "Update" di dua baris berbeda
+        // tidak saling menimpa — juga di bawah live-sync scope yang sama
+        // (syncKey hanya untuk abort/queue di ajaxDynamic()). Tanpa elemen
+        // fallback ke controller::method.
+        const owner = options.el ? elementKey(options.el) : controller;
+        const key = `${owner}::${method}`;
+        const fire = () =>
             ajaxDynamic(
                 methodType,
                 controller,
@@ -422,11 +1550,95 @@
                 targetId,
                 loading,
                 callback,
+                false,
+                options,
             );
+
+        if (options.throttle > 0) {
+            return throttleRequest(key, options.throttle, fire);
+        }
+
+        const delay =
+            typeof options.debounce === "number"
+                ? options.debounce
+                : defaultDebounceMs();
+        if (delay <= 0) return fire();
+
+        const pending = debounceMap.get(key);
+        let waiters = pending ? pending.waiters : [];
+
+        if (pending) {
+            clearTimeout(pending.timer);
+            if (options.rejectSuperseded) {
+                waiters.forEach((w) =>
+                    w.reject(new DOMException("Superseded by a newer call", "AbortError")),
+                );
+                waiters = [];
+            }
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            waiters.push({ resolve, reject });
+        });
+        // Pemanggil lama tidak memakai promise ini — cegah unhandled rejection.
+        promise.catch(() => {});
+
+        const timer = setTimeout(() => {
             debounceMap.delete(key);
-        }, 400);
+            fire().then(
+                (response) => waiters.forEach((w) => w.resolve(response)),
+                (err) => waiters.forEach((w) => w.reject(err)),
+            );
+        }, delay);
+
+        debounceMap.set(key, { timer, waiters });
+        return promise;
+    }
 
-        debounceMap.set(key, timer);
+    /**
+     * Leading + trailing throttle per key: panggilan pertama langsung
+     * dikirim, panggilan berikutnya dalam jendela yang sama digabung jadi
+     * satu panggilan di akhir jendela (memakai data paling baru).
+     * @param {string} key - Throttle key.
+     * @param {number} windowMs - Throttle window in ms.
+     * @param {function(): Promise} fire - Sends the request.
+     * @returns {Promise<object>}
+     */
+    function throttleRequest(key, windowMs, fire) {
+        let state = throttleMap.get(key);
+        if (!state) {
+            state = { last: 0, timer: null, fire: null, waiters: [] };
+            throttleMap.set(key, state);
+        }
+
+        const wait = state.last + windowMs - Date.now();
+        if (wait <= 0 && !state.timer) {
+            state.last = Date.now();
+            return fire();
+        }
+
+        state.fire = fire;
+        const promise = new Promise((resolve, reject) => {
+            state.waiters.push({ resolve, reject });
+        });
+        promise.catch(() => {});
+
+        if (!state.timer) {
+            state.timer = setTimeout(() => {
+                const run = state.fire;
+                const waiters = state.waiters;
+                state.timer = null;
+                state.fire = null;
+                state.waiters = [];
+                state.last = Date.now();
+                run().then(
+                    (response) => waiters.forEach((w) => w.resolve(response)),
+                    (err) => waiters.forEach((w) => w.reject(err)),
+                );
+            }, Math.max(wait, 0));
+        }
+
+        return promise;
     }
 
     /**
@@ -458,7 +1670,9 @@
 
     /**
      * Automatically binds response data to DOM elements based on their ID or class name.
-     * Supports camelCase, kebab-case, and snake_case matching.
+     * Supports camelCase, kebab-case, and snake_case matching. Nilai ditulis
+     * sebagai teks; elemen dengan `live-html` menerima HTML (lewat
+     * sanitizer kalau live-sanitize aktif).
      * @param {object} data - The data object from the AJAX response.
      */
     function autoBindDomFromResponse(data) {
@@ -495,8 +1709,13 @@
                         });
                     }
                 } else {
+                    // Default teks; HTML hanya untuk elemen bertanda live-html.
                     els.forEach((el) => {
-                        el.innerHTML = value;
+                        if (el.hasAttribute("live-html")) {
+                            el.innerHTML = safeHtml(el, value);
+                        } else {
+                            el.textContent = value ?? "";
+                        }
                     });
                 }
             }
@@ -787,9 +2006,11 @@
      * Handles live events (click, hover, change, etc.) by triggering AJAX calls or local DOM updates.
      * @param {Element} el - The triggering element.
      * @param {string} eventType - The type of event (e.g., 'click', 'change').
+     * @param {object} [overrides={}] - Dipakai live-on: `methods` (ganti
+     *   atribut live-{eventType}) dan `timing` ({ debounce, throttle }).
      */
-    function handleLiveEvent(el, eventType) {
-        const rawMethods = el.getAttribute(`live-${eventType}`);
+    function handleLiveEvent(el, eventType, overrides = {}) {
+        const rawMethods = overrides.methods ?? el.getAttribute(`live-${eventType}`);
         const rawTargets = el.getAttribute("live-target") || "";
         const domAction = el.getAttribute("live-dom") || "auto";
         const formEl = closestAncestor(el, "form");
@@ -837,9 +2058,20 @@
         );
         const loading = loadingList.length ? loadingList : null;
         const dataArgs = el.getAttribute("live-data");
+        const timing = overrides.timing || resolveLiveTiming(el, eventType);
 
         const beforeCallback = el.getAttribute("live-callback-before");
+        // live-confirm menunggu jawaban dialog (setelah live-callback-before
+        // lolos) sebelum request benar-benar dikirim.
         const execute = () => {
+            if (!el.hasAttribute("live-confirm")) return send();
+            confirmFromElement(el).then((ok) => {
+                if (ok) send();
+            });
+        };
+        const send = () => {
+            clearInlineErrors(el);
+            clearValidationErrors(el);
             const methodType = resolveMethodType(el, eventType, formEl);
 
             // Jangan jalankan extractData di sini!
@@ -960,7 +2192,7 @@
             const targetFor = (i) =>
                 targets.length === 1 ? targets[0] : targets[i] || "";
 
-            parsedMethods.forEach(({ method, args }, i) => {
+            const calls = parsedMethods.map(({ method, args }, i) => {
                 const targetSel = targetFor(i);
                 const targetEls = targetSel ? liveTarget(el, targetSel) : [el];
 
@@ -987,15 +2219,43 @@
                     postData = extractData(el, formEl);
                 }
 
+                return { method, data: postData, targetEls };
+            });
+
+            // live-batch: rantai method (mis. "save, refreshTotals") dikirim
+            // dalam SATU request ke endpoint batch, bukan N request terpisah.
+            if (calls.length > 1 && isBatchEnabled(el)) {
+                runBatchRequest(methodType, controller, calls, domAction, loading, el);
+                return;
+            }
+
+            const chunkSize = resolveUploadChunkSize(el);
+
+            calls.forEach(({ method, data, targetEls }) => {
+                if (hasLargeFile(data, chunkSize)) {
+                    runChunkedUpload(
+                        methodType,
+                        controller,
+                        method,
+                        data,
+                        domAction,
+                        targetEls,
+                        loading,
+                        el,
+                        chunkSize,
+                    );
+                    return;
+                }
                 runAjaxRequest(
                     methodType,
                     controller,
                     method,
-                    postData,
+                    data,
                     domAction,
                     targetEls,
                     loading,
                     el,
+                    timing,
                 );
             });
         };
@@ -1067,6 +2327,8 @@
      * @param {Element[]} targetEls - Array elemen target.
      * @param {boolean} loading - Whether to show loading.
      * @param {Element} el - The original triggering element.
+     * @param {object} [options={}] - Extra request options (debounce, throttle, ...).
+     * @returns {Promise<object>} The response envelope (lihat ajaxDynamic()).
      */
     function runAjaxRequest(
         methodType,
@@ -1077,36 +2339,43 @@
         targetEls,
         loading,
         el = null,
+        options = {},
     ) {
-        const callback = function (response) {
-            let responseData =
-                response && typeof response === "object" && "data" in response
-                    ? response.data
-                    : response;
+        const optimistic = el ? applyOptimistic(el, targetEls, domAction) : null;
 
-            if (typeof responseData === "object") {
-                autoBindDomFromResponse(responseData);
-            }
+        const stream = el && isLiveStream(el)
+            ? createStreamRenderer(el, targetEls, domAction)
+            : null;
 
-            if (typeof responseData === "string") {
-                toElements(targetEls).forEach((t) => {
-                    applyDomAction(t, domAction, responseData);
-                });
+        const callback = function (response) {
+            // Stream sudah dirender per chunk oleh createStreamRenderer().
+            if (response?.streamed) {
+                finishLiveUpdate(el, response);
+                return;
             }
-
-            if (el && el.getAttribute) {
-                const afterCallback = el.getAttribute("live-callback-after");
-                if (
-                    afterCallback &&
-                    typeof window[afterCallback] === "function"
-                ) {
-                    window[afterCallback](el, response);
-                }
+            // Optimistic: envelope `success: false` berarti tebakan kita salah —
+            // kembalikan DOM dan jangan terapkan response-nya.
+            if (optimistic && response?.success === false) {
+                optimistic.rollback();
+                reportLiveError(
+                    createLiveDomError("response", response.message || "Request failed", {
+                        parsed: response,
+                    }),
+                    el,
+                );
+                return;
             }
-
-            document.dispatchEvent(new CustomEvent("live-dom:afterUpdate"));
+            applyLiveResponse(
+                renderResponseTemplate(response, el?.getAttribute("live-render")),
+                domAction,
+                targetEls,
+                el,
+            );
         };
-        debouncedAjaxDynamic(
+        // Re-fetch realtime (dynamic-broadcast.js) memanggil tanpa `el` —
+        // pakai target pertama sebagai konteks pencarian live-endpoint.
+        const contextEl = el || toElements(targetEls)[0] || null;
+        const request = debouncedAjaxDynamic(
             methodType,
             controller,
             method,
@@ -1115,123 +2384,2501 @@
             "",
             loading,
             callback,
+            {
+                el: contextEl,
+                ...(el ? resolveLiveSync(el, method) : {}),
+                ...(el ? resolveLiveCache(el) : {}),
+                ...(el ? resolveLiveLimits(el) : {}),
+                ...(el ? resolveLiveProgress(el) : {}),
+                ...(stream ? { stream, cache: null } : {}),
+                ...options,
+            },
         );
+
+        // Error HTTP/jaringan sudah dilaporkan ajaxDynamic(); di sini cukup
+        // rollback. Request yang di-abort karena digantikan request lebih
+        // baru dibiarkan — snapshot miliknya sudah tidak relevan.
+        if (optimistic) {
+            request.catch((err) => {
+                if (err?.name === "AbortError" && !optimistic.isLatest()) return;
+                optimistic.rollback();
+            });
+        }
+
+        return request;
     }
 
     /**
-     * Performs a local DOM update without an AJAX request.
+     * live-batch dipasang di elemen pemicu atau ancestor-nya (mis. live-scope);
+     * live-batch="false" mematikannya lagi untuk subtree tertentu. Request
+     * realtime tidak pernah di-batch (broadcast tetap per action), begitu
+     * juga live-stream (body-nya harus dibaca per request).
      * @param {Element} el - The triggering element.
-     * @param {string} domAction - How to apply the content to the DOM.
-     * @param {string} rawTargets - Raw target selector string.
+     * @returns {boolean}
      */
-    function runLocalUpdate(el, domAction, rawTargets) {
-        const targetSel = rawTargets || "";
-        const targetEls = targetSel ? liveTarget(el, targetSel) : [el];
-        if (domAction === "remove") {
-            targetEls.forEach((t) => t.remove());
-            // initLiveDom();
-            return;
-        }
+    function isBatchEnabled(el) {
+        const batchEl = closestAncestor(el, "[live-batch]");
+        if (!batchEl || batchEl.getAttribute("live-batch") === "false") return false;
+        return el.getAttribute("live-realtime") !== "true" && !isLiveStream(el);
+    }
 
-        const content = extractElementContent(el);
-        targetEls.forEach((t) => {
-            applyDomAction(t, domAction, content);
+    /**
+     * Sends chained actions as one batch request and applies each result to
+     * its own target, in order. Call yang gagal dilaporkan sendiri-sendiri
+     * tanpa menghentikan call lain; live-callback-after dan
+     * live-dom:afterUpdate hanya jalan SEKALI untuk seluruh batch.
+     * @param {string} methodType - HTTP method of each call (live-method).
+     * @param {string} controller - Controller name (live-scope).
+     * @param {Array<{method: string, data: object|FormData, targetEls: Element[]}>} calls
+     * @param {string} domAction - How to apply each response to the DOM.
+     * @param {*} loading - Loading indicator target(s).
+     * @param {Element} el - The original triggering element.
+     * @returns {Promise<object>} The batch envelope `{ success, batch, results }`.
+     */
+    function runBatchRequest(methodType, controller, calls, domAction, loading, el) {
+        const request = ajaxBatch(
+            calls.map((call) => ({
+                controller,
+                action: call.method,
+                method: methodType,
+                data: call.data,
+            })),
+            loading,
+            { el, ...resolveLiveLimits(el) },
+        ).then((envelope) => {
+            const results = envelope?.results || [];
+
+            calls.forEach((call, i) => {
+                const result = results[i];
+                if (!result || result.success === false) {
+                    reportLiveError(
+                        createLiveDomError(
+                            result?.status === 422 ? "validation" : "response",
+                            result?.message || `Batch call "${call.method}" failed`,
+                            { status: result?.status, parsed: result || null },
+                        ),
+                        el,
+                    );
+                    return;
+                }
+                applyResponseData(
+                    renderResponseTemplate(result, el.getAttribute("live-render")),
+                    domAction,
+                    call.targetEls,
+                    el,
+                );
+            });
+
+            if (envelope?.success !== false) {
+                invalidateCacheTags(resolveLiveCache(el).invalidateTags);
+            }
+            finishLiveUpdate(el, envelope);
+            results.forEach((result) => {
+                if (result?.success !== false) runLiveCommands(result?.commands, el);
+            });
+            return envelope;
         });
+        // Error batch sudah dilaporkan oleh ajaxBatch() — cegah unhandled rejection.
+        request.catch(() => {});
+        return request;
     }
 
+    // Klik & submit adalah aksi eksplisit user — langsung dikirim, tidak
+    // ditahan debounce seperti input/keyup/change/hover. Lazy load juga:
+    // elemen sudah terlihat, tidak ada gunanya menunggu.
+    const IMMEDIATE_TRIGGERS = ["click", "submit", "lazy"];
+
     /**
-     * Applies content to a target element using a specified DOM action.
-     * @param {Element|Element[]} targets - The target element(s).
-     * @param {string} actions - The DOM action (e.g., 'html', 'append', 'value').
-     * @param {string} contents - The content to apply.
+     * Resolves debounce/throttle timing for a trigger.
+     *
+     *   live-throttle="1s"      -> maksimal satu request per detik
+     *   live-debounce="250ms"   -> tunggu 250ms sejak event terakhir
+     *   live-debounce="0"       -> kirim langsung
+     *   (tanpa atribut)         -> click/submit langsung, lainnya pakai
+     *                              LiveDom.config.debounce (default 400ms)
+     * @param {Element} el - The triggering element.
+     * @param {string} eventType - The event type (e.g., 'click', 'input').
+     * @returns {{debounce: number, throttle?: number}}
      */
-    function applyDomAction(targets, actions, contents) {
-        const targetEls = toElements(targets);
+    function resolveLiveTiming(el, eventType) {
+        const throttleAttr = el.getAttribute("live-throttle");
+        if (throttleAttr !== null) {
+            return { debounce: 0, throttle: parseDuration(throttleAttr, 0) };
+        }
 
-        // Split actions dan contents jika berupa string multiple
-        const actionList =
-            typeof actions === "string" ? actions.split(",") : [actions];
-        const contentList =
-            typeof contents === "object" && !Array.isArray(contents)
-                ? [contents]
-                : Array.isArray(contents)
-                    ? contents
-                    : [contents];
+        const debounceAttr = el.getAttribute("live-debounce");
+        if (debounceAttr !== null) {
+            return { debounce: parseDuration(debounceAttr, defaultDebounceMs()) };
+        }
 
-        targetEls.forEach((currentTarget) => {
-            actionList.forEach((action, actionIndex) => {
-                const content =
-                    contentList[actionIndex] || contentList[0] || "";
-                const trimmedAction = action.trim();
+        return {
+            debounce: IMMEDIATE_TRIGGERS.includes(eventType) ? 0 : defaultDebounceMs(),
+        };
+    }
 
-                switch (trimmedAction) {
-                    case "append":
-                        currentTarget.insertAdjacentHTML("beforeend", content);
-                        break;
-                    case "prepend":
-                        currentTarget.insertAdjacentHTML("afterbegin", content);
-                        break;
-                    case "before":
-                        currentTarget.insertAdjacentHTML("beforebegin", content);
-                        break;
-                    case "after":
-                        currentTarget.insertAdjacentHTML("afterend", content);
-                        break;
-                    case "value":
-                    case "val":
-                        currentTarget.value = content;
-                        currentTarget.dispatchEvent(new Event("change", { bubbles: true }));
-                        currentTarget.dispatchEvent(new Event("input", { bubbles: true }));
-                        currentTarget.dispatchEvent(new Event("change", { bubbles: true }));
-                        break;
-                    case "text":
-                        currentTarget.textContent = content;
-                        break;
-                    case "html":
-                        currentTarget.innerHTML = content;
-                        break;
-                    case "toggle":
-                        toggleEl(currentTarget, !!content);
-                        break;
-                    case "show":
-                        showEl(currentTarget);
-                        break;
-                    case "hide":
-                        hideEl(currentTarget);
-                        break;
-                    case "remove":
-                        currentTarget.remove();
-                        break;
-                    default:
-                        if (
-                            !actions ||
-                            actions.trim() === "" ||
-                            actions.trim() === "auto"
-                        ) {
-                            if (isEl(currentTarget, "input, textarea, select")) {
-                                currentTarget.value = content;
-                                currentTarget.dispatchEvent(new Event("input", { bubbles: true }));
-                                currentTarget.dispatchEvent(new Event("change", { bubbles: true }));
-                            } else {
-                                currentTarget.innerHTML = content;
-                            }
-                            break;
-                        }
+    /**
+     * Resolves the live-sync strategy for a triggering element.
+     *
+     *   live-sync="queue"          -> key = elemen yang memasang atribut
+     *                                 (tombol sendiri, atau live-scope kalau
+     *                                 dipasang di scope)
+     *   live-sync="drop:element"   -> key = elemen pemicu
+     *   live-sync="queue:scope"    -> key = live-scope terdekat
+     *
+     * Tanpa live-sync, key-nya per elemen + method dengan mode "abort",
+     * jadi baris tabel yang berbeda tidak pernah saling membatalkan.
+     * @param {Element} el - The triggering element.
+     * @param {string} method - Controller method.
+     * @returns {{sync: string, syncKey: string}}
+     */
+    function resolveLiveSync(el, method) {
+        const syncEl = closestAncestor(el, "[live-sync]");
+        if (!syncEl) {
+            return { sync: "abort", syncKey: `${elementKey(el)}::${method}` };
+        }
+
+        const [mode, keyBy] = syncEl
+            .getAttribute("live-sync")
+            .split(":")
+            .map((part) => part.trim().toLowerCase());
+
+        let keyEl = syncEl;
+        if (keyBy === "element") keyEl = el;
+        else if (keyBy === "scope") keyEl = closestAncestor(el, "[live-scope]") || el;
+
+        if (!LIVE_SYNC_MODES.includes(mode)) {
+            console.warn(`[Live Event] Unknown live-sync mode "${mode}", falling back to "abort".`, el);
+        }
+
+        return {
+            sync: LIVE_SYNC_MODES.includes(mode) ? mode : "abort",
+            syncKey: elementKey(keyEl),
+        };
+    }
+
+    /**
+     * Reads the cache attributes of a trigger.
+     *
+     *   live-cache="60s"                   -> cache response selama 60 detik
+     *   live-cache="5m" live-cache-tags="products"
+     *                                      -> cache + tag untuk invalidasi
+     *   live-cache-persist="session"       -> simpan juga di sessionStorage
+     *   live-cache-swr="false"             -> entry kadaluarsa tidak dirender
+     *                                         dulu, tunggu response baru
+     *   live-cache-tags="products" (tanpa live-cache)
+     *                                      -> aksi mutasi: invalidate tag
+     *                                         tersebut saat request sukses
+     * @param {Element} el - The triggering element.
+     * @returns {{cache?: object, invalidateTags?: string[]}}
+     */
+    function resolveLiveCache(el) {
+        const tags = toTagList(el.getAttribute("live-cache-tags"));
+        const ttl = el.getAttribute("live-cache");
+
+        if (ttl === null || ttl === "false") {
+            return tags.length ? { invalidateTags: tags } : {};
+        }
+
+        return {
+            cache: {
+                ttl: parseDuration(ttl, DEFAULT_CACHE_TTL_MS),
+                tags,
+                persist: el.getAttribute("live-cache-persist") === "session",
+                swr: el.getAttribute("live-cache-swr") !== "false",
+            },
+        };
+    }
+
+    /**
+     * Reads live-timeout / live-retry from the trigger or its nearest
+     * ancestor, so a whole live-scope can share one setting.
+     *
+     *   live-timeout="10s"   -> batalkan percobaan setelah 10 detik
+     *   live-timeout="0"     -> tanpa batas waktu
+     *   live-retry="3"       -> ulangi request GET maksimal 3 kali
+     * Atribut yang tidak ada jatuh ke LiveDom.config.timeout / retry.
+     * @param {Element} el - The triggering element.
+     * @returns {{timeout?: number, retry?: number}}
+     */
+    function resolveLiveLimits(el) {
+        const limits = {};
+
+        const timeoutEl = closestAncestor(el, "[live-timeout]");
+        if (timeoutEl) {
+            const timeout = parseDuration(timeoutEl.getAttribute("live-timeout"), NaN);
+            if (!isNaN(timeout)) limits.timeout = timeout;
+        }
+
+        const retryEl = closestAncestor(el, "[live-retry]");
+        if (retryEl) {
+            const retry = parseInt(retryEl.getAttribute("live-retry"), 10);
+            if (!isNaN(retry)) limits.retry = retry;
+        }
+
+        return limits;
+    }
+
+    /**
+     * Applies a response envelope to the DOM: object data is auto-bound by
+     * id/class, string data goes into the targets via applyDomAction(), then
+     * live-callback-after runs and live-dom:afterUpdate is dispatched.
+     * @param {object} response - The parsed response envelope.
+     * @param {string} domAction - How to apply the response to the DOM.
+     * @param {Element[]|string} targetEls - Target element(s) or selector.
+     * @param {Element} [el=null] - The original triggering element.
+     */
+    function applyLiveResponse(response, domAction, targetEls, el = null) {
+        applyResponseData(response, domAction, targetEls, el);
+        finishLiveUpdate(el, response);
+    }
+
+    /**
+     * Swaps the `data` of one response envelope into the DOM (tanpa
+     * callback/event — dipakai juga per-call oleh batch).
+     * @param {object} response - The parsed response envelope.
+     * @param {string} domAction - How to apply the response to the DOM.
+     * @param {Element[]|string} targetEls - Target element(s) or selector.
+     * @param {Element} [el=null] - The triggering element (scope for live-list).
+     */
+    function applyResponseData(response, domAction, targetEls, el = null) {
+        let responseData =
+            response && typeof response === "object" && "data" in response
+                ? response.data
+                : response;
+
+        if (responseData && typeof responseData === "object") {
+            const consumed = reconcileLiveLists(responseData, targetEls, el);
+            if (!Array.isArray(responseData)) {
+                autoBindDomFromResponse(
+                    Object.fromEntries(
+                        Object.entries(responseData).filter(([key]) => !consumed.has(key)),
+                    ),
+                );
+            }
+        }
+
+        let fragments = [];
+        if (typeof responseData === "string") {
+            const oob = extractOobFragments(responseData);
+            fragments = oob.fragments;
+            // Response yang isinya hanya <template live-oob> tidak boleh
+            // mengosongkan target utama.
+            if (!fragments.length || oob.html.trim() !== "") {
+                toElements(targetEls).forEach((t) => {
+                    applyDomAction(t, domAction, oob.html);
+                });
+            }
+        }
+
+        applyFragments(response?.fragments);
+        fragments.forEach(({ selector, dom, html }) => applyFragment(selector, dom, html));
+    }
+
+    /**
+     * Applies the `fragments` map of an envelope, on top of the primary
+     * target:
+     *
+     *   fragments: {
+     *     "#totals": "<td>...</td>",                 // dom "auto"
+     *     "#badge": { html: "3", dom: "text" },
+     *   }
+     * @param {object} [fragments]
+     */
+    function applyFragments(fragments) {
+        if (!fragments || typeof fragments !== "object") return;
+
+        Object.entries(fragments).forEach(([selector, fragment]) => {
+            if (fragment && typeof fragment === "object") {
+                applyFragment(selector, fragment.dom, fragment.html ?? "");
+            } else {
+                applyFragment(selector, null, fragment ?? "");
+            }
+        });
+    }
+
+    function applyFragment(selector, dom, html) {
+        let targets = [];
+        try {
+            targets = qsa(selector);
+        } catch (e) {
+            console.warn(`[LiveDom] Invalid fragment selector "${selector}".`, e);
+            return;
+        }
+        if (!targets.length) {
+            if (IS_DEBUG) console.warn(`[LiveDom] Fragment target "${selector}" not found.`);
+            return;
+        }
+        applyDomAction(targets, dom || "auto", String(html));
+    }
+
+    /**
+     * Pulls `<template live-oob="#selector" [live-dom="text"]>` blocks out of
+     * an HTML response. Isi template diterapkan ke selector-nya masing-masing;
+     * sisanya tetap untuk target utama.
+     * @param {string} html
+     * @returns {{html: string, fragments: Array<{selector: string, dom: string|null, html: string}>}}
+     */
+    function extractOobFragments(html) {
+        if (!html.includes("live-oob")) return { html, fragments: [] };
+
+        const tpl = document.createElement("template");
+        tpl.innerHTML = html;
+        const blocks = qsa("template[live-oob]", tpl.content);
+        if (!blocks.length) return { html, fragments: [] };
+
+        const fragments = blocks.map((block) => {
+            block.remove();
+            return {
+                selector: block.getAttribute("live-oob"),
+                dom: block.getAttribute("live-dom"),
+                html: block.innerHTML,
+            };
+        });
+        return { html: tpl.innerHTML, fragments };
+    }
+
+    /**
+     * Runs live-callback-after and dispatches live-dom:afterUpdate once a
+     * response has been applied.
+     * @param {Element|null} el - The original triggering element.
+     * @param {object} response - Passed to live-callback-after.
+     */
+    function finishLiveUpdate(el, response) {
+        // Target dengan live-transition-* baru terisi setelah fase leave.
+        if (pendingSwaps.size) {
+            whenSwapsSettled(() => finishLiveUpdate(el, response));
+            return;
+        }
+
+        if (el && el.getAttribute) {
+            const afterCallback = el.getAttribute("live-callback-after");
+            if (
+                afterCallback &&
+                typeof window[afterCallback] === "function"
+            ) {
+                window[afterCallback](el, response);
+            }
+        }
+
+        document.dispatchEvent(new CustomEvent("live-dom:afterUpdate"));
+        runLiveCommands(response?.commands, el);
+    }
+
+    /**
+     * Performs a local DOM update without an AJAX request.
+     * @param {Element} el - The triggering element.
+     * @param {string} domAction - How to apply the content to the DOM.
+     * @param {string} rawTargets - Raw target selector string.
+     */
+    function runLocalUpdate(el, domAction, rawTargets) {
+        const targetSel = rawTargets || "";
+        const targetEls = targetSel ? liveTarget(el, targetSel) : [el];
+        if (domAction === "remove") {
+            targetEls.forEach((t) => t.remove());
+            // initLiveDom();
+            return;
+        }
+
+        const content = extractElementContent(el);
+        targetEls.forEach((t) => {
+            applyDomAction(t, domAction, content);
+        });
+    }
+
+    /**
+     * Applies content to a target element using a specified DOM action.
+     * @param {Element|Element[]} targets - The target element(s).
+     * @param {string} actions - The DOM action (e.g., 'html', 'append', 'value').
+     * @param {string} contents - The content to apply.
+     */
+    function applyDomAction(targets, actions, contents) {
+        const targetEls = toElements(targets);
+
+        // Split actions dan contents jika berupa string multiple
+        const actionList =
+            typeof actions === "string" ? actions.split(",") : [actions];
+        const contentList =
+            typeof contents === "object" && !Array.isArray(contents)
+                ? [contents]
+                : Array.isArray(contents)
+                    ? contents
+                    : [contents];
+
+        targetEls.forEach((currentTarget) => {
+            actionList.forEach((action, actionIndex) => {
+                const content =
+                    contentList[actionIndex] || contentList[0] || "";
+                const trimmedAction = action.trim();
+
+                runSwap(currentTarget, trimmedAction, () =>
+                    applySingleDomAction(currentTarget, trimmedAction, content, actions),
+                );
+            });
+        });
+    }
+
+    function applySingleDomAction(currentTarget, trimmedAction, content, actions) {
+        switch (trimmedAction) {
+            case "append":
+                currentTarget.insertAdjacentHTML("beforeend", safeHtml(currentTarget, content));
+                break;
+            case "prepend":
+                currentTarget.insertAdjacentHTML("afterbegin", safeHtml(currentTarget, content));
+                break;
+            case "before":
+                currentTarget.insertAdjacentHTML("beforebegin", safeHtml(currentTarget, content));
+                break;
+            case "after":
+                currentTarget.insertAdjacentHTML("afterend", safeHtml(currentTarget, content));
+                break;
+            case "value":
+            case "val":
+                currentTarget.value = content;
+                currentTarget.dispatchEvent(new Event("change", { bubbles: true }));
+                currentTarget.dispatchEvent(new Event("input", { bubbles: true }));
+                currentTarget.dispatchEvent(new Event("change", { bubbles: true }));
+                break;
+            case "text":
+                currentTarget.textContent = content;
+                break;
+            case "html":
+                currentTarget.innerHTML = safeHtml(currentTarget, content);
+                break;
+            case "morph":
+                morphContent(currentTarget, safeHtml(currentTarget, content));
+                break;
+            case "toggle":
+                toggleEl(currentTarget, !!content);
+                break;
+            case "show":
+                showEl(currentTarget);
+                break;
+            case "hide":
+                hideEl(currentTarget);
+                break;
+            case "remove":
+                currentTarget.remove();
+                break;
+            default:
+                if (
+                    !actions ||
+                    actions.trim() === "" ||
+                    actions.trim() === "auto"
+                ) {
+                    if (isEl(currentTarget, "input, textarea, select")) {
+                        currentTarget.value = content;
+                        currentTarget.dispatchEvent(new Event("input", { bubbles: true }));
+                        currentTarget.dispatchEvent(new Event("change", { bubbles: true }));
+                    } else {
+                        currentTarget.innerHTML = safeHtml(currentTarget, content);
+                    }
+                    break;
+                }
+
+                // fallback: anggap text/html
+                if (isEl(currentTarget, "input, textarea, select")) {
+                    currentTarget.value = content;
+                    currentTarget.dispatchEvent(new Event("input", { bubbles: true }));
+                    currentTarget.dispatchEvent(new Event("change", { bubbles: true }));
+                } else {
+                    currentTarget.innerHTML = safeHtml(currentTarget, content);
+                }
+                break;
+        }
+    }
+
+    /*==============================
+      SANITIZER (live-sanitize)
+    ==============================*/
+
+    // Allowlist default ditujukan untuk konten yang diketik user (catatan,
+    // komentar): format teks, list, tabel, link dan gambar. `id`, `style`,
+    // `on*` dan atribut live-* sengaja tidak ada — konten user tidak boleh
+    // memicu action atau membajak id yang dipakai autoBindDomFromResponse().
+    // Bisa diganti lewat LiveDom.config.sanitizer (tags, attributes,
+    // urlSchemes, sanitize).
+    const DEFAULT_SANITIZER_CONFIG = {
+        tags: [
+            "a", "abbr", "b", "blockquote", "br", "caption", "cite", "code",
+            "col", "colgroup", "dd", "del", "details", "div", "dl", "dt", "em",
+            "figcaption", "figure", "h1", "h2", "h3", "h4", "h5", "h6", "hr",
+            "i", "img", "ins", "kbd", "li", "mark", "ol", "p", "pre", "q", "s",
+            "small", "span", "strong", "sub", "summary", "sup", "table",
+            "tbody", "td", "tfoot", "th", "thead", "time", "tr", "u", "ul",
+        ],
+        attributes: [
+            "abbr", "alt", "cite", "class", "colspan", "datetime", "dir",
+            "headers", "height", "href", "lang", "open", "rel", "reversed",
+            "role", "rowspan", "scope", "span", "src", "start", "target",
+            "title", "width", "aria-*",
+        ],
+        urlSchemes: ["http", "https", "mailto", "tel"],
+        sanitize: null,
+    };
+
+    const URL_ATTRIBUTES = ["href", "src", "action", "formaction", "xlink:href"];
+
+    // Tag yang dibuang beserta isinya (bukan sekadar di-unwrap).
+    const SANITIZER_DROP_TAGS = [
+        "script", "style", "template", "iframe", "frame", "frameset",
+        "object", "embed", "noscript", "noembed", "xmp", "plaintext",
+        "textarea", "select", "title", "svg", "math",
+    ];
+
+    function sanitizerConfig() {
+        return {
+            ...DEFAULT_SANITIZER_CONFIG,
+            ...(window.LiveDom.config?.sanitizer || {}),
+        };
+    }
+
+    /**
+     * Whether HTML swapped into `target` must be sanitized: the nearest
+     * `live-sanitize` (target or ancestor) decides, `live-sanitize="false"`
+     * opts a subtree out; otherwise LiveDom.config.sanitize applies.
+     * `sanitize: "always"` mengabaikan opt-out — markup dari server tidak
+     * bisa mematikan sanitasi untuk dirinya sendiri.
+     * @param {Element} target
+     * @returns {boolean}
+     */
+    function shouldSanitize(target) {
+        if (window.LiveDom.config?.sanitize === "always") return true;
+        const scope = closestAncestor(target, "[live-sanitize]");
+        if (scope) return scope.getAttribute("live-sanitize") !== "false";
+        return window.LiveDom.config?.sanitize === true;
+    }
+
+    /**
+     * HTML yang akan dimasukkan ke `target` — disanitasi kalau mode safe
+     * aktif untuk target tersebut, apa adanya kalau tidak.
+     * @param {Element} target
+     * @param {*} html
+     * @returns {string}
+     */
+    function safeHtml(target, html) {
+        const value = html === null || html === undefined ? "" : String(html);
+        return shouldSanitize(target) ? sanitizeHtml(value) : value;
+    }
+
+    function matchesAllowlist(list, name) {
+        return list.some((entry) =>
+            entry.endsWith("*") ? name.startsWith(entry.slice(0, -1)) : entry === name,
+        );
+    }
+
+    function isAllowedUrl(value, schemes) {
+        // Browser mengabaikan karakter kontrol & spasi di URL ("java\tscript:").
+        const url = value.replace(/[\u0000-\u001F\u0020]/g, "");
+        const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i);
+        // Tanpa scheme = URL relatif / anchor.
+        return !scheme || schemes.includes(scheme[1].toLowerCase());
+    }
+
+    /**
+     * Cleans an HTML string against the sanitizer allowlist. Tag yang tidak
+     * diizinkan di-unwrap (isinya tetap), kecuali script/style/iframe & co
+     * yang dibuang seluruhnya; atribut di luar allowlist, event handler dan
+     * URL dengan scheme selain urlSchemes (javascript:, data:, …) dihapus.
+     * `sanitizer.sanitize` (mis. DOMPurify.sanitize) menggantikan semuanya.
+     * @param {string} html
+     * @returns {string}
+     */
+    function sanitizeHtml(html) {
+        const config = sanitizerConfig();
+        if (typeof config.sanitize === "function") return String(config.sanitize(String(html)));
+
+        const tags = config.tags.map((tag) => tag.toLowerCase());
+        const attributes = config.attributes.map((attr) => attr.toLowerCase());
+        // <template> tidak mengeksekusi script maupun memuat gambar saat parse.
+        const tpl = document.createElement("template");
+        tpl.innerHTML = String(html);
+
+        const clean = (parent) => {
+            Array.from(parent.childNodes).forEach((node) => {
+                if (node.nodeType === Node.TEXT_NODE) return;
+                if (node.nodeType !== Node.ELEMENT_NODE) {
+                    node.remove();
+                    return;
+                }
+
+                const tag = node.tagName.toLowerCase();
+                if (SANITIZER_DROP_TAGS.includes(tag)) {
+                    node.remove();
+                    return;
+                }
+
+                clean(node);
+                if (!tags.includes(tag)) {
+                    node.replaceWith(...node.childNodes);
+                    return;
+                }
+
+                Array.from(node.attributes).forEach(({ name, value }) => {
+                    const attr = name.toLowerCase();
+                    const allowed =
+                        !attr.startsWith("on") &&
+                        matchesAllowlist(attributes, attr) &&
+                        (!URL_ATTRIBUTES.includes(attr) || isAllowedUrl(value, config.urlSchemes));
+                    if (!allowed) node.removeAttribute(name);
+                });
+                // Link ke tab baru tanpa akses window.opener.
+                if (tag === "a" && node.getAttribute("target") === "_blank") {
+                    node.setAttribute("rel", "noopener noreferrer");
+                }
+            });
+        };
+
+        clean(tpl.content);
+        return tpl.innerHTML;
+    }
+
+    window.LiveDom.sanitize = sanitizeHtml;
+
+    /*==============================
+      DOM MORPHING (live-dom="morph")
+    ==============================*/
+
+    // Atribut yang state-nya milik user, bukan server: <details>/<dialog>
+    // yang sedang dibuka tidak ikut ditutup oleh morph.
+    const MORPH_USER_ATTRS = { DETAILS: ["open"], DIALOG: ["open"] };
+
+    /**
+     * Swaps `html` into `target` by diffing it against the existing children
+     * instead of replacing them: node yang cocok (id / live-key, atau posisi
+     * + tag yang sama) dipertahankan dan hanya atribut/teks yang berubah yang
+     * disentuh. Fokus, seleksi, nilai input yang belum disimpan, scroll dan
+     * listener tetap utuh. `live-morph-ignore` membiarkan subtree apa adanya.
+     * @param {Element} target
+     * @param {string} html
+     */
+    function morphContent(target, html) {
+        const tpl = document.createElement("template");
+        tpl.innerHTML = html;
+        morphChildren(target, tpl.content);
+    }
+
+    function morphKey(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return null;
+        const key = node.getAttribute("live-key");
+        if (key !== null && key !== "") return `key:${key}`;
+        return node.id ? `id:${node.id}` : null;
+    }
+
+    function isMorphable(from, to) {
+        if (from.nodeType !== to.nodeType) return false;
+        if (from.nodeType !== Node.ELEMENT_NODE) return true;
+        return from.tagName === to.tagName && morphKey(from) === morphKey(to);
+    }
+
+    function morphChildren(fromParent, toParent) {
+        const keyed = new Map();
+        fromParent.childNodes.forEach((child) => {
+            const key = morphKey(child);
+            if (key) keyed.set(key, child);
+        });
+
+        let cursor = fromParent.firstChild;
+        Array.from(toParent.childNodes).forEach((newChild) => {
+            const key = morphKey(newChild);
+            let match = null;
+
+            if (key) {
+                match = keyed.get(key) || null;
+                if (match && !isMorphable(match, newChild)) match = null;
+                keyed.delete(key);
+            } else if (cursor && !morphKey(cursor) && isMorphable(cursor, newChild)) {
+                match = cursor;
+            }
+
+            if (!match) {
+                fromParent.insertBefore(newChild, cursor);
+                return;
+            }
+
+            if (match === cursor) cursor = cursor.nextSibling;
+            else fromParent.insertBefore(match, cursor);
+            morphNode(match, newChild);
+        });
+
+        // Sisa node lama yang tidak punya pasangan di HTML baru.
+        while (cursor) {
+            const next = cursor.nextSibling;
+            fromParent.removeChild(cursor);
+            cursor = next;
+        }
+    }
+
+    function morphNode(from, to) {
+        if (from.nodeType !== Node.ELEMENT_NODE) {
+            if (from.nodeValue !== to.nodeValue) from.nodeValue = to.nodeValue;
+            return;
+        }
+        if (from.hasAttribute("live-morph-ignore")) return;
+
+        morphAttributes(from, to);
+
+        // Nilai textarea diatur lewat defaultValue — kalau user sedang
+        // mengetik (dirty), browser mempertahankan value-nya sendiri.
+        if (from.tagName === "TEXTAREA") {
+            if (from.defaultValue !== to.defaultValue) from.defaultValue = to.defaultValue;
+            return;
+        }
+        morphChildren(from, to);
+    }
+
+    function morphAttributes(from, to) {
+        const keep = MORPH_USER_ATTRS[from.tagName] || [];
+        const focused = from === document.activeElement;
+
+        Array.from(from.attributes).forEach(({ name }) => {
+            if (keep.includes(name)) return;
+            if (!to.hasAttribute(name)) from.removeAttribute(name);
+        });
+        Array.from(to.attributes).forEach(({ name, value }) => {
+            if (keep.includes(name)) return;
+            // Input yang sedang difokus: jangan ganggu apa yang diketik user.
+            if (focused && name === "value") return;
+            if (from.getAttribute(name) !== value) from.setAttribute(name, value);
+        });
+    }
+
+    /*==============================
+      TRANSITIONS
+    ==============================*/
+
+    // Aksi yang tidak mengganti isi target itu sendiri — tidak dianimasikan.
+    const NO_TRANSITION_ACTIONS = ["value", "val", "toggle", "before", "after"];
+
+    // Swap yang sedang menunggu transisi; afterUpdate / afterSpa baru
+    // di-dispatch setelah semuanya selesai (lihat whenSwapsSettled()).
+    const pendingSwaps = new Set();
+
+    function trackSwap(promise) {
+        const tracked = Promise.resolve(promise)
+            .catch((err) => console.error("[LiveDom] Swap transition failed:", err))
+            .then(() => {
+                pendingSwaps.delete(tracked);
+            });
+        pendingSwaps.add(tracked);
+        return tracked;
+    }
+
+    /**
+     * Runs `fn` once every pending transitioned swap has finished —
+     * langsung (sinkron) kalau tidak ada yang menunggu.
+     * @param {function} fn
+     */
+    function whenSwapsSettled(fn) {
+        if (!pendingSwaps.size) return fn();
+        Promise.all(pendingSwaps).then(() => whenSwapsSettled(fn));
+    }
+
+    function prefersReducedMotion() {
+        return !!window.matchMedia?.("(prefers-reduced-motion: reduce)").matches;
+    }
+
+    /**
+     * Reads the transition attributes of a swap target:
+     *   live-transition-enter="fade-in"        kelas selama fase enter
+     *   live-transition-enter-from="opacity-0" kelas awal enter (dilepas 1 frame kemudian)
+     *   live-transition-leave="fade-out"       kelas selama fase leave
+     *   live-transition-leave-to="opacity-0"   kelas akhir leave
+     *   live-transition="view"                 bungkus swap dengan View Transitions
+     *   live-transition="none"                 matikan (termasuk config global)
+     * @param {Element} target
+     * @param {object} [options] - `view` overrides the View Transition mode.
+     * @returns {object|null}
+     */
+    function readTransition(target, options = {}) {
+        const mode = target.getAttribute("live-transition");
+        if (mode === "none") return null;
+
+        const view = options.view !== undefined
+            ? options.view
+            : mode === "view" || (mode === null && window.LiveDom.config?.viewTransitions === true);
+        const transition = {
+            view,
+            enter: classList(target.getAttribute("live-transition-enter")),
+            enterFrom: classList(target.getAttribute("live-transition-enter-from")),
+            leave: classList(target.getAttribute("live-transition-leave")),
+            leaveTo: classList(target.getAttribute("live-transition-leave-to")),
+        };
+        const hasClasses =
+            transition.enter.length || transition.enterFrom.length ||
+            transition.leave.length || transition.leaveTo.length;
+        return transition.view || hasClasses ? transition : null;
+    }
+
+    function nextFrame() {
+        return new Promise((resolve) => requestAnimationFrame(() => resolve()));
+    }
+
+    function longestTime(durations, delays) {
+        const toMs = (value) => parseFloat(value) * (value.trim().endsWith("ms") ? 1 : 1000) || 0;
+        const d = durations.split(",");
+        const l = delays.split(",");
+        return Math.max(0, ...d.map((value, i) => toMs(value) + toMs(l[i % l.length] || "0s")));
+    }
+
+    /**
+     * Resolves on transitionend / animationend of `el` itself, or after the
+     * computed duration (+ margin) kalau event-nya tidak pernah datang.
+     * @param {Element} el
+     * @returns {Promise<void>}
+     */
+    function waitForTransition(el) {
+        const style = getComputedStyle(el);
+        const ms = Math.max(
+            longestTime(style.transitionDuration, style.transitionDelay),
+            longestTime(style.animationDuration, style.animationDelay),
+        );
+        if (!ms) return Promise.resolve();
+
+        return new Promise((resolve) => {
+            let timer = null;
+            const finish = (e) => {
+                if (e && e.target !== el) return;
+                clearTimeout(timer);
+                el.removeEventListener("transitionend", finish);
+                el.removeEventListener("animationend", finish);
+                resolve();
+            };
+            el.addEventListener("transitionend", finish);
+            el.addEventListener("animationend", finish);
+            timer = setTimeout(finish, ms + 50);
+        });
+    }
+
+    /**
+     * Runs `swap` inside document.startViewTransition() when enabled and
+     * supported; browser lain (atau prefers-reduced-motion) langsung swap.
+     * @param {boolean} enabled
+     * @param {function} swap - May return a Promise.
+     * @returns {Promise<void>|void}
+     */
+    function withViewTransition(enabled, swap) {
+        if (!enabled || typeof document.startViewTransition !== "function" || prefersReducedMotion()) {
+            return swap();
+        }
+        return document.startViewTransition(swap).updateCallbackDone;
+    }
+
+    /**
+     * Applies one swap to `target`, playing its leave / enter class hooks
+     * and/or a View Transition. Tanpa atribut transisi, swap jalan sinkron
+     * seperti biasa.
+     * @param {Element} target
+     * @param {string} action - The live-dom action being applied.
+     * @param {function} swap
+     * @param {object} [options]
+     * @param {boolean} [options.view] - Override the View Transition mode
+     *   (SPA membungkus semua region dalam satu View Transition).
+     * @returns {Promise<void>|undefined}
+     */
+    function runSwap(target, action, swap, options = {}) {
+        const transition = NO_TRANSITION_ACTIONS.includes(action)
+            ? null
+            : readTransition(target, options);
+        if (!transition) return void swap();
+        return trackSwap(playSwap(target, action, swap, transition));
+    }
+
+    async function playSwap(target, action, swap, t) {
+        const leaving = action !== "show" && (t.leave.length || t.leaveTo.length);
+        const entering = !["remove", "hide"].includes(action) && (t.enter.length || t.enterFrom.length);
+
+        if (leaving) {
+            target.classList.add(...t.leave);
+            if (t.leaveTo.length) {
+                await nextFrame();
+                target.classList.add(...t.leaveTo);
+            }
+            await waitForTransition(target);
+        }
+
+        await withViewTransition(t.view, swap);
+        target.classList.remove(...t.leave, ...t.leaveTo);
+
+        if (entering && target.isConnected) {
+            target.classList.add(...t.enter, ...t.enterFrom);
+            if (t.enterFrom.length) {
+                await nextFrame();
+                target.classList.remove(...t.enterFrom);
+            }
+            await waitForTransition(target);
+            target.classList.remove(...t.enter);
+        }
+    }
+
+    /*==============================
+      KEYED LISTS (live-list)
+    ==============================*/
+
+    // row element -> { json, index } dari render terakhir
+    const listRowState = new WeakMap();
+    // element -> [[attrName, pattern]] dengan placeholder "_?" / "[?]"
+    const indexPatterns = new WeakMap();
+
+    const INDEX_PLACEHOLDER = /_\?|\[\?\]/;
+
+    function fillIndex(pattern, index) {
+        return pattern.replace(/_\?/g, `_${index}`).replace(/\[\?\]/g, `[${index}]`);
+    }
+
+    function readPath(record, path) {
+        return String(path)
+            .split(".")
+            .reduce((value, part) => (value == null ? undefined : value[part]), record);
+    }
+
+    function rowElements(row) {
+        return [row, ...qsa("*", row)];
+    }
+
+    /**
+     * Remembers which attributes of a row carry the row index. Row dari
+     * template memakai "_?" / "[?]" apa adanya; row hasil render server
+     * (name="qty_3") diturunkan dari index posisinya saat pertama diadopsi.
+     * @param {Element} row
+     * @param {number|null} renderedIndex - Index the row was rendered with,
+     *   null when the attributes still contain the placeholders.
+     */
+    function captureIndexPatterns(row, renderedIndex) {
+        const fromIndex = renderedIndex === null
+            ? null
+            : new RegExp(`_${renderedIndex}(?!\\d)|\\[${renderedIndex}\\]`, "g");
+
+        rowElements(row).forEach((el) => {
+            const patterns = [];
+            Array.from(el.attributes).forEach(({ name, value }) => {
+                if (fromIndex) {
+                    const pattern = value.replace(fromIndex, (m) => (m[0] === "[" ? "[?]" : "_?"));
+                    if (pattern !== value) patterns.push([name, pattern]);
+                } else if (INDEX_PLACEHOLDER.test(value)) {
+                    patterns.push([name, value]);
+                }
+            });
+            if (patterns.length) indexPatterns.set(el, patterns);
+        });
+    }
+
+    function applyRowIndex(row, index) {
+        rowElements(row).forEach((el) => {
+            (indexPatterns.get(el) || []).forEach(([name, pattern]) => {
+                const value = fillIndex(pattern, index);
+                if (el.getAttribute(name) !== value) el.setAttribute(name, value);
+            });
+        });
+    }
+
+    /**
+     * Writes a record into a row:
+     *   live-field="qty"                    -> value (input) / textContent
+     *   live-field-attr="href: url, title: name"
+     * Input yang sedang difokus tidak ditimpa.
+     * @param {Element} row
+     * @param {object} record
+     */
+    function applyRowFields(row, record) {
+        rowElements(row).forEach((el) => {
+            const field = el.getAttribute("live-field");
+            if (field) {
+                const raw = readPath(record, field);
+                const value = raw == null ? "" : String(raw);
+                if (isEl(el, "input, textarea, select")) {
+                    if (el === document.activeElement) return;
+                    if (el.type === "checkbox" || el.type === "radio") {
+                        el.checked = el.type === "checkbox" ? !!raw && raw !== "0" : el.value === value;
+                    } else if (el.value !== value) {
+                        el.value = value;
+                        // live-compute membaca nilai baru lewat event input.
+                        el.dispatchEvent(new Event("input", { bubbles: true }));
+                    }
+                } else if (el.textContent !== value) {
+                    el.textContent = value;
+                }
+            }
+
+            const attrMap = el.getAttribute("live-field-attr");
+            if (attrMap) {
+                attrMap.split(",").forEach((pair) => {
+                    const [name, path] = pair.split(":").map((part) => part && part.trim());
+                    if (!name || !path) return;
+                    // Data record tidak boleh jadi event handler atau URL
+                    // javascript: — sama seperti sanitizer & live-template.
+                    if (name.toLowerCase().startsWith("on")) return;
+                    const raw = readPath(record, path);
+                    const value = raw === true ? "" : String(raw);
+                    if (
+                        raw === null || raw === undefined || raw === false ||
+                        (URL_ATTRIBUTES.includes(name.toLowerCase()) &&
+                            !isAllowedUrl(value, sanitizerConfig().urlSchemes))
+                    ) {
+                        el.removeAttribute(name);
+                    } else {
+                        el.setAttribute(name, value);
+                    }
+                });
+            }
+        });
+    }
+
+    function listRowTemplate(container) {
+        const selector = container.getAttribute("live-list-template");
+        const tpl = selector
+            ? qs(selector)
+            : Array.from(container.children).find((child) => child.tagName === "TEMPLATE");
+        const row = tpl?.content?.firstElementChild;
+        if (!row) {
+            console.warn("[LiveDom] live-list needs a row <template>.", container);
+            return null;
+        }
+        return row;
+    }
+
+    /**
+     * Reconciles the rows of a live-list container with `records`: row baru
+     * dibuat dari template, row yang ada (dicocokkan lewat live-key) hanya
+     * diperbarui kalau datanya atau posisinya berubah, urutan disamakan, dan
+     * row yang tidak ada lagi dihapus. Index "_?" / "[?]" selalu mengikuti
+     * posisi, jadi agregat live-compute seperti sum(subtotal_?) tetap benar.
+     * @param {Element} container - Element with live-list.
+     * @param {Array<object>} records
+     */
+    function reconcileLiveList(container, records) {
+        const template = listRowTemplate(container);
+        if (!template) return;
+
+        const keyField = container.getAttribute("live-key") || "id";
+        const rows = Array.from(container.children).filter(
+            (child) => child.tagName !== "TEMPLATE" && child.hasAttribute("live-key"),
+        );
+        const existing = new Map();
+        rows.forEach((row, position) => {
+            if (!listRowState.has(row) && !indexPatterns.has(row)) {
+                captureIndexPatterns(row, position);
+            }
+            existing.set(row.getAttribute("live-key"), row);
+        });
+
+        const stats = { added: 0, updated: 0, removed: 0 };
+        let cursor = rows[0] || null;
+
+        records.forEach((record, index) => {
+            const key = String(readPath(record, keyField));
+            const json = JSON.stringify(record);
+            let row = existing.get(key);
+
+            if (row) {
+                existing.delete(key);
+                const state = listRowState.get(row);
+                if (!state || state.json !== json || state.index !== index) {
+                    applyRowIndex(row, index);
+                    applyRowFields(row, record);
+                    if (state && state.json !== json) stats.updated++;
+                }
+            } else {
+                row = template.cloneNode(true);
+                row.setAttribute("live-key", key);
+                captureIndexPatterns(row, null);
+                applyRowIndex(row, index);
+                applyRowFields(row, record);
+                stats.added++;
+            }
+            listRowState.set(row, { json, index });
+
+            if (row === cursor) {
+                cursor = cursor.nextElementSibling;
+            } else {
+                container.insertBefore(row, cursor);
+            }
+        });
+
+        existing.forEach((row) => {
+            row.remove();
+            stats.removed++;
+        });
+
+        qsa(":scope > [live-list-empty]", container).forEach((el) =>
+            toggleEl(el, records.length === 0),
+        );
+
+        emitRequestEvent(container, "live-dom:listUpdated", {
+            ...stats,
+            count: records.length,
+        });
+    }
+
+    /**
+     * Feeds array data of a response into live-list containers:
+     *   - response `data` berupa array -> live-list di (atau di dalam) target
+     *   - object -> tiap [live-list="path"] di target / live-scope pemicu
+     *     yang path-nya berisi array
+     * @param {object|Array} data
+     * @param {Element[]|string} targetEls
+     * @param {Element} [el=null] - The triggering element; its live-scope is
+     *   searched too.
+     * @returns {Set<string>} Top-level keys consumed by a list (tidak ikut
+     *   autoBindDomFromResponse()).
+     */
+    function reconcileLiveLists(data, targetEls, el = null) {
+        const consumed = new Set();
+
+        if (Array.isArray(data)) {
+            toElements(targetEls).forEach((target) => {
+                const list = target.hasAttribute("live-list")
+                    ? target
+                    : qs("[live-list]", target);
+                if (list) reconcileLiveList(list, data);
+            });
+            return consumed;
+        }
+
+        // Hanya list milik target / scope pemicu — response satu komponen
+        // tidak boleh mengisi list komponen lain yang kebetulan path-nya sama.
+        const roots = [...toElements(targetEls), closestAncestor(el, "[live-scope]")].filter(Boolean);
+        const lists = new Set();
+        roots.forEach((root) => {
+            if (root.hasAttribute("live-list")) lists.add(root);
+            qsa("[live-list]", root).forEach((list) => lists.add(list));
+        });
+
+        lists.forEach((list) => {
+            const path = list.getAttribute("live-list");
+            if (!path) return;
+            const records = readPath(data, path);
+            if (!Array.isArray(records)) return;
+            reconcileLiveList(list, records);
+            consumed.add(path.split(".")[0]);
+        });
+        return consumed;
+    }
+
+    /*==============================
+      TEMPLATES (live-template)
+    ==============================*/
+
+    // Interpolasi sengaja tanpa eval/new Function supaya tetap jalan di
+    // halaman dengan Content-Security-Policy ketat.
+    const TEMPLATE_TOKEN = /\{\{\s*([^}]*?)\s*\}\}/g;
+    const TEMPLATE_DIRECTIVES = ["live-if", "live-else", "live-each", "live-html"];
+
+    function findLiveTemplate(name) {
+        const tpl = qs(`template[live-template="${String(name).replace(/["\\]/g, "\\$&")}"]`);
+        if (!tpl) console.warn(`[LiveDom] live-template "${name}" not found.`);
+        return tpl;
+    }
+
+    /**
+     * Resolves a template expression against the scope chain: path
+     * ("item.price", "items.0"), "$index", or a literal ('text', 12, true,
+     * null).
+     * @param {object} scope
+     * @param {string} expr
+     * @returns {*}
+     */
+    function templateValue(scope, expr) {
+        const token = String(expr).trim();
+        if (token === "") return undefined;
+        if (/^(['"]).*\1$/.test(token)) return token.slice(1, -1);
+        if (/^-?\d+(\.\d+)?$/.test(token)) return parseFloat(token);
+        if (token === "true") return true;
+        if (token === "false") return false;
+        if (token === "null") return null;
+
+        const [head, ...rest] = token.split(".");
+        if (!(head in scope)) return undefined;
+        return rest.reduce(
+            (value, part) => (value == null ? undefined : value[part]),
+            scope[head],
+        );
+    }
+
+    /**
+     * live-if condition: `path`, `!path`, atau `a <op> b` dengan op
+     * ==, !=, >, <, >=, <=.
+     * @param {object} scope
+     * @param {string} expr
+     * @returns {boolean}
+     */
+    function templateCondition(scope, expr) {
+        const source = String(expr).trim();
+        const comparison = source.match(/^(.+?)\s*(===|!==|==|!=|>=|<=|>|<)\s*(.+)$/);
+        if (comparison) {
+            const left = templateValue(scope, comparison[1]);
+            const right = templateValue(scope, comparison[3]);
+            switch (comparison[2]) {
+                case "==":
+                case "===":
+                    return String(left) === String(right);
+                case "!=":
+                case "!==":
+                    return String(left) !== String(right);
+                case ">":
+                    return Number(left) > Number(right);
+                case "<":
+                    return Number(left) < Number(right);
+                case ">=":
+                    return Number(left) >= Number(right);
+                default:
+                    return Number(left) <= Number(right);
+            }
+        }
+        if (source.startsWith("!")) return !isTruthyValue(templateValue(scope, source.slice(1)));
+        return isTruthyValue(templateValue(scope, source));
+    }
+
+    function isTruthyValue(value) {
+        return Array.isArray(value) ? value.length > 0 : !!value;
+    }
+
+    function templateText(value) {
+        return value === null || value === undefined ? "" : String(value);
+    }
+
+    function interpolate(text, scope) {
+        return text.replace(TEMPLATE_TOKEN, (_, expr) => templateText(templateValue(scope, expr)));
+    }
+
+    function renderTemplateAttributes(source, clone, scope) {
+        Array.from(source.attributes).forEach(({ name, value }) => {
+            if (TEMPLATE_DIRECTIVES.includes(name)) return;
+            if (!value.includes("{{")) {
+                clone.setAttribute(name, value);
+                return;
+            }
+            // Data tidak boleh jadi event handler — sama seperti live-field-attr.
+            if (name.toLowerCase().startsWith("on")) return;
+
+            // Atribut yang isinya satu token: false/null/undefined = hapus,
+            // true = atribut boolean (disabled="{{ locked }}").
+            const single = value.match(/^\{\{\s*([^}]*?)\s*\}\}$/);
+            if (single) {
+                const resolved = templateValue(scope, single[1]);
+                if (resolved === false || resolved === null || resolved === undefined) return;
+                if (resolved === true) {
+                    clone.setAttribute(name, "");
+                    return;
+                }
+            }
+
+            const rendered = interpolate(value, scope);
+            if (
+                URL_ATTRIBUTES.includes(name.toLowerCase()) &&
+                !isAllowedUrl(rendered, sanitizerConfig().urlSchemes)
+            ) return;
+            clone.setAttribute(name, rendered);
+        });
+    }
+
+    function renderTemplateNodes(nodes, scope, out, sanitize = false) {
+        let lastIf = null;
+
+        nodes.forEach((node) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                out.appendChild(document.createTextNode(interpolate(node.nodeValue, scope)));
+                return;
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+            if (node.hasAttribute("live-else")) {
+                if (lastIf === false) renderTemplateElement(node, scope, out, sanitize);
+                lastIf = null;
+                return;
+            }
+
+            if (node.hasAttribute("live-if")) {
+                lastIf = templateCondition(scope, node.getAttribute("live-if"));
+                if (!lastIf) return;
+            } else {
+                lastIf = null;
+            }
+
+            const each = node.getAttribute("live-each");
+            if (each) {
+                const match = each.match(/^\s*(?:(\w+)(?:\s*,\s*(\w+))?\s+in\s+)?(.+?)\s*$/);
+                const alias = match[1] || "item";
+                const indexAlias = match[2] || "$index";
+                const list = templateValue(scope, match[3]);
+                const items = Array.isArray(list)
+                    ? list
+                    : list && typeof list === "object" ? Object.values(list) : [];
+                items.forEach((item, index) => {
+                    const itemScope = Object.create(scope);
+                    itemScope[alias] = item;
+                    itemScope[indexAlias] = index;
+                    renderTemplateElement(node, itemScope, out, sanitize);
+                });
+                return;
+            }
+
+            renderTemplateElement(node, scope, out, sanitize);
+        });
+    }
+
+    function renderTemplateElement(node, scope, out, sanitize = false) {
+        const clone = document.createElement(node.tagName.toLowerCase());
+        renderTemplateAttributes(node, clone, scope);
+
+        const htmlExpr = node.getAttribute("live-html");
+        if (htmlExpr) {
+            // Opt-in HTML mentah — hanya untuk data yang memang dipercaya;
+            // tetap lewat sanitizer kalau live-sanitize berlaku di template.
+            const html = templateText(templateValue(scope, htmlExpr));
+            clone.innerHTML = sanitize ? sanitizeHtml(html) : html;
+        } else {
+            const children = node.tagName === "TEMPLATE"
+                ? Array.from(node.content.childNodes)
+                : Array.from(node.childNodes);
+            renderTemplateNodes(children, scope, clone.tagName === "TEMPLATE" ? clone.content : clone, sanitize);
+        }
+        out.appendChild(clone);
+    }
+
+    /**
+     * Renders `<template live-template="name">` with JSON data and returns
+     * the HTML. Semua nilai di-escape (ditulis sebagai text node / atribut);
+     * HTML mentah hanya lewat `live-html`. Data berupa array dirender sekali
+     * per item (dengan `$index`).
+     *
+     *   <template live-template="row">
+     *     <tr class="{{ status }}">
+     *       <td>{{ customer.name }}</td>
+     *       <td live-if="paid">Lunas</td><td live-else>Belum</td>
+     *       <td><span live-each="tag in tags">{{ tag }}</span></td>
+     *     </tr>
+     *   </template>
+     * @param {string} name
+     * @param {*} data
+     * @returns {string|null} Null kalau template tidak ditemukan.
+     */
+    function renderLiveTemplate(name, data) {
+        const tpl = findLiveTemplate(name);
+        if (!tpl) return null;
+
+        const holder = document.createElement("template");
+        const nodes = Array.from(tpl.content.childNodes);
+        const sanitize = shouldSanitize(tpl);
+        const records = Array.isArray(data) ? data : [data];
+
+        records.forEach((record, index) => {
+            const scope = Object.create(null);
+            if (record && typeof record === "object" && !Array.isArray(record)) {
+                Object.assign(scope, record);
+            }
+            scope.$data = record;
+            scope.$index = index;
+            renderTemplateNodes(nodes, scope, holder.content, sanitize);
+        });
+        return holder.innerHTML;
+    }
+
+    /**
+     * Swaps a JSON `data` payload for the HTML of a live-render template so
+     * it flows through the normal live-target / live-dom handling.
+     * @param {object} response - The parsed envelope.
+     * @param {string|null} templateName
+     * @returns {object}
+     */
+    function renderResponseTemplate(response, templateName) {
+        if (!templateName || !response || response.success === false) return response;
+        if (!response.data || typeof response.data !== "object") return response;
+
+        const html = renderLiveTemplate(templateName, response.data);
+        return html === null ? response : { ...response, data: html };
+    }
+
+    window.LiveDom.render = renderLiveTemplate;
+
+    /*==============================
+      OPTIMISTIC UPDATES
+    ==============================*/
+
+    // Urutan optimistic update per elemen pemicu — hanya yang terbaru yang
+    // boleh rollback saat request-nya di-abort (lihat applyOptimistic()).
+    const optimisticGenerations = new WeakMap();
+
+    /**
+     * Captures enough of each target to undo any applyDomAction() on it:
+     * posisinya di DOM, child node aslinya (node yang sama, jadi state
+     * input/listener ikut kembali), sibling untuk before/after, atribut
+     * class/style/hidden dan value.
+     * @param {Element[]} targets
+     * @returns {object[]}
+     */
+    function snapshotDom(targets) {
+        return targets.map((node) => ({
+            node,
+            parent: node.parentNode,
+            prev: node.previousSibling,
+            next: node.nextSibling,
+            children: Array.from(node.childNodes),
+            attrs: ["class", "style", "hidden"].map((name) => [name, node.getAttribute(name)]),
+            value: "value" in node ? node.value : undefined,
+        }));
+    }
+
+    function restoreDom(snapshots) {
+        snapshots.forEach(({ node, parent, prev, next, children, attrs, value }) => {
+            if (!parent) return;
+
+            // Buang node yang disisipkan before/after di sekitar target.
+            const clearBetween = (from, to) => {
+                let cursor = from ? from.nextSibling : parent.firstChild;
+                while (cursor && cursor !== to) {
+                    const following = cursor.nextSibling;
+                    if (cursor !== node) cursor.remove();
+                    cursor = following;
+                }
+            };
+            const anchorsIntact =
+                (!prev || prev.parentNode === parent) && (!next || next.parentNode === parent);
+            if (anchorsIntact) clearBetween(prev, next);
+
+            if (node.parentNode !== parent) {
+                parent.insertBefore(node, next && next.parentNode === parent ? next : null);
+            }
+
+            node.replaceChildren(...children);
+            attrs.forEach(([name, attrValue]) => {
+                if (attrValue === null) node.removeAttribute(name);
+                else node.setAttribute(name, attrValue);
+            });
+            if (value !== undefined && node.value !== value) node.value = value;
+        });
+    }
+
+    /**
+     * Applies live-optimistic before the request is sent.
+     *
+     *   live-optimistic="remove"                  -> hapus target sekarang
+     *   live-optimistic="hide" | "show" | "text"  -> aksi DOM apa pun
+     *   live-optimistic-html="#tpl"               -> isi <template>/elemen
+     *                                                dipakai sebagai konten
+     *                                                (aksi default: live-dom)
+     *   live-optimistic-target="closest(tr)"      -> target lain selain
+     *                                                live-target
+     *
+     * @param {Element} el - The triggering element.
+     * @param {Element[]|string} targetEls - Targets of the request.
+     * @param {string} domAction - live-dom of the trigger.
+     * @returns {{rollback: function(): void, isLatest: function(): boolean}|null}
+     */
+    function applyOptimistic(el, targetEls, domAction) {
+        const action = el.getAttribute("live-optimistic");
+        const htmlSource = el.getAttribute("live-optimistic-html");
+        if (action === null && !htmlSource) return null;
+
+        const targetSel = el.getAttribute("live-optimistic-target");
+        const targets = targetSel ? liveTarget(el, targetSel) : toElements(targetEls);
+        if (!targets.length) return null;
+
+        let content = "";
+        if (htmlSource) {
+            const sourceEl = qs(htmlSource);
+            content = sourceEl ? sourceEl.innerHTML : "";
+        }
+        const optimisticAction =
+            action && action !== "true" ? action : htmlSource ? domAction || "html" : "remove";
+
+        const snapshots = snapshotDom(targets);
+        applyDomAction(targets, optimisticAction, content);
+
+        const generation = (optimisticGenerations.get(el) || 0) + 1;
+        optimisticGenerations.set(el, generation);
+
+        return {
+            isLatest: () => optimisticGenerations.get(el) === generation,
+            rollback() {
+                restoreDom(snapshots);
+                emitRequestEvent(el, "live-dom:rollback", { targets });
+                document.dispatchEvent(new CustomEvent("live-dom:afterUpdate"));
+            },
+        };
+    }
+
+    /*==============================
+      VALIDATION ERRORS (422)
+    ==============================*/
+
+    // Markup default mengikuti Bootstrap; bisa diganti lewat
+    // LiveDom.config.validation (inputClass, feedbackClass, feedbackTag, render).
+    const DEFAULT_VALIDATION_CONFIG = {
+        inputClass: "is-invalid",
+        feedbackClass: "invalid-feedback",
+        feedbackTag: "div",
+        render: null,
+    };
+
+    // trigger element -> container yang field-nya ditandai request terakhir
+    const validationMarks = new WeakMap();
+
+    function validationConfig() {
+        return {
+            ...DEFAULT_VALIDATION_CONFIG,
+            ...(window.LiveDom.config?.validation || {}),
+        };
+    }
+
+    function classList(value) {
+        return String(value || "").split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * Laravel error key ("items.3.qty") -> nama input yang mungkin dipakai
+     * di form: "items.3.qty", "items[3][qty]", dan "items[3][qty][]".
+     * @param {string} field
+     * @returns {string[]}
+     */
+    function fieldNameVariants(field) {
+        const [head, ...rest] = String(field).split(".");
+        const bracket = head + rest.map((part) => `[${part}]`).join("");
+        const variants = [field, bracket, `${bracket}[]`];
+
+        // "tags.0" juga cocok dengan input array tanpa index: name="tags[]"
+        if (rest.length && /^\d+$/.test(rest[rest.length - 1])) {
+            variants.push(head + rest.slice(0, -1).map((p) => `[${p}]`).join("") + "[]");
+        }
+        return [...new Set(variants)];
+    }
+
+    function findFieldInputs(container, field) {
+        const names = fieldNameVariants(field);
+        const inputs = qsa(
+            names.map((n) => `[name="${n.replace(/["\\]/g, "\\$&")}"]`).join(", "),
+            container,
+        );
+
+        // "tags[]" berisi banyak input; "tags.1" hanya menandai yang ke-2.
+        const index = String(field).match(/\.(\d+)$/);
+        const exact = inputs.filter((input) => names.slice(0, 3).includes(input.name));
+        if (exact.length || !index) return exact;
+        const nth = inputs[Number(index[1])];
+        return nth ? [nth] : [];
+    }
+
+    function findErrorHolders(container, field) {
+        const names = fieldNameVariants(field);
+        return qsa("[live-error-for]", container).filter((holder) =>
+            names.includes(holder.getAttribute("live-error-for")),
+        );
+    }
+
+    function buildFeedback(input, messages, field, cfg) {
+        if (typeof cfg.render === "function") {
+            const out = cfg.render(input, messages, field);
+            if (out == null || out === false) return null;
+            if (out instanceof Element) return out;
+            const tpl = document.createElement("template");
+            tpl.innerHTML = String(out).trim();
+            return tpl.content.firstElementChild;
+        }
+
+        const feedback = document.createElement(cfg.feedbackTag || "div");
+        feedback.classList.add(...classList(cfg.feedbackClass));
+        messages.forEach((message, i) => {
+            if (i > 0) feedback.appendChild(document.createElement("br"));
+            feedback.appendChild(document.createTextNode(message));
+        });
+        return feedback;
+    }
+
+    /**
+     * Clears validation errors inside a container (form atau live-scope).
+     * @param {Element} container
+     * @param {object} [options]
+     * @param {boolean} [options.markedOnly=false] - Hanya hapus tanda yang
+     *   dibuat LiveDom, biarkan markup error hasil render server.
+     */
+    function clearFormErrors(container, { markedOnly = false } = {}) {
+        if (!container) return;
+        const cfg = validationConfig();
+        const inputClasses = classList(cfg.inputClass);
+        const feedbackClasses = classList(cfg.feedbackClass);
+
+        const inputSelector = ["[live-invalid]"];
+        const feedbackSelector = ["[live-error-feedback]"];
+        if (!markedOnly && inputClasses.length) inputSelector.push("." + inputClasses.join("."));
+        if (!markedOnly && feedbackClasses.length) feedbackSelector.push("." + feedbackClasses.join("."));
+
+        qsa(inputSelector.join(", "), container).forEach((input) => {
+            input.classList.remove(...inputClasses);
+            input.removeAttribute("live-invalid");
+            input.removeAttribute("aria-invalid");
+        });
+        qsa(feedbackSelector.join(", "), container).forEach((el) => el.remove());
+        qsa("[live-error-for][live-error-active]", container).forEach(resetErrorHolder);
+    }
+
+    function clearFieldErrors(container, field) {
+        const cfg = validationConfig();
+        findFieldInputs(container, field).forEach((input) => {
+            input.classList.remove(...classList(cfg.inputClass));
+            input.removeAttribute("live-invalid");
+            input.removeAttribute("aria-invalid");
+        });
+        qsa("[live-error-feedback]", container)
+            .filter((el) => el.getAttribute("live-error-feedback") === field)
+            .forEach((el) => el.remove());
+        findErrorHolders(container, field)
+            .filter((holder) => holder.hasAttribute("live-error-active"))
+            .forEach(resetErrorHolder);
+    }
+
+    function resetErrorHolder(holder) {
+        const wasHidden = holder.getAttribute("live-error-active") === "hidden";
+        holder.textContent = "";
+        holder.removeAttribute("live-error-active");
+        if (wasHidden) hideEl(holder);
+    }
+
+    /**
+     * Displays validation errors.
+     *
+     * Pesan ditulis ke `[live-error-for="field"]` kalau ada; kalau tidak,
+     * input diberi inputClass dan elemen feedback disisipkan setelahnya
+     * (sekali per field, jadi grup radio/checkbox tidak dobel).
+     * @param {Element} container - Form atau live-scope.
+     * @param {object} errors - Field name -> array of error messages.
+     * @returns {number} Jumlah field yang berhasil ditandai.
+     */
+    function showFormErrors(container, errors) {
+        const cfg = validationConfig();
+        let marked = 0;
+
+        for (const [field, value] of Object.entries(errors || {})) {
+            const messages = (Array.isArray(value) ? value : [value]).map(String);
+            const inputs = findFieldInputs(container, field);
+            const holders = findErrorHolders(container, field);
+            if (!inputs.length && !holders.length) continue;
+            marked++;
+
+            inputs.forEach((input) => {
+                input.classList.add(...classList(cfg.inputClass));
+                input.setAttribute("live-invalid", "");
+                input.setAttribute("aria-invalid", "true");
+
+                // Begitu user memperbaiki field, error-nya langsung hilang.
+                const clear = () => clearFieldErrors(container, field);
+                input.addEventListener("input", clear, { once: true });
+                input.addEventListener("change", clear, { once: true });
+            });
+
+            if (holders.length) {
+                holders.forEach((holder) => {
+                    if (!holder.hasAttribute("live-error-active")) {
+                        const wasHidden = holder.hidden || holder.style.display === "none";
+                        holder.setAttribute("live-error-active", wasHidden ? "hidden" : "");
+                    }
+                    holder.textContent = messages.join(" ");
+                    holder.hidden = false;
+                    showEl(holder);
+                });
+                continue;
+            }
 
-                        // fallback: anggap text/html
-                        if (isEl(currentTarget, "input, textarea, select")) {
-                            currentTarget.value = content;
-                            currentTarget.dispatchEvent(new Event("input", { bubbles: true }));
-                            currentTarget.dispatchEvent(new Event("change", { bubbles: true }));
-                        } else {
-                            currentTarget.innerHTML = content;
-                        }
-                        break;
+            const anchor = inputs[inputs.length - 1];
+            const next = anchor.nextElementSibling;
+            const feedbackClasses = classList(cfg.feedbackClass);
+            const alreadyHasFeedback =
+                next &&
+                feedbackClasses.length &&
+                feedbackClasses.every((c) => next.classList.contains(c));
+            if (alreadyHasFeedback) continue;
+
+            const feedback = buildFeedback(anchor, messages, field, cfg);
+            if (!feedback) continue;
+            feedback.setAttribute("live-error-feedback", field);
+            anchor.insertAdjacentElement("afterend", feedback);
+        }
+
+        return marked;
+    }
+
+    /**
+     * 422 dari request live-click / live-submit: tandai field di dalam
+     * live-scope (atau form) milik elemen pemicu, lalu emit
+     * `live-dom:validationFailed`.
+     * @param {Error} err - LiveDomError bertipe "validation".
+     * @param {Element|null} el - The triggering element.
+     * @returns {boolean} True kalau ada field yang ditandai.
+     */
+    function handleValidationErrors(err, el) {
+        const errors = err.parsed?.errors || {};
+        const container = el
+            ? closestAncestor(el, "[live-scope]") || el.closest("form")
+            : null;
+
+        let marked = 0;
+        if (container) {
+            clearValidationErrors(el);
+            marked = showFormErrors(container, errors);
+            validationMarks.set(el, container);
+        }
+
+        emitRequestEvent(el, "live-dom:validationFailed", {
+            errors,
+            message: liveErrorMessage(err),
+            scope: container,
+            error: err,
+        });
+        return marked > 0;
+    }
+
+    /**
+     * Clears the field errors left by the previous request of `el`.
+     * @param {Element} el - The triggering element.
+     */
+    function clearValidationErrors(el) {
+        const container = validationMarks.get(el);
+        if (!container) return;
+        validationMarks.delete(el);
+        clearFormErrors(container, { markedOnly: true });
+    }
+
+    /*==============================
+      UPLOADS (PROGRESS & CHUNKS)
+    ==============================*/
+
+    const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+    /**
+     * Parses a byte size such as "5MB", "512kb" or 1048576.
+     * @param {string|number} value
+     * @param {number} [fallback=0]
+     * @returns {number}
+     */
+    function parseSize(value, fallback = 0) {
+        if (typeof value === "number") return isFinite(value) ? value : fallback;
+        const match = String(value || "")
+            .trim()
+            .match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i);
+        if (!match) return fallback;
+        return Math.round(parseFloat(match[1]) * SIZE_UNITS[(match[2] || "b").toLowerCase()]);
+    }
+
+    /**
+     * live-progress="#bar" di elemen pemicu (atau ancestor-nya, mis. form)
+     * membuat request dikirim lewat XHR supaya progress upload terbaca.
+     * @param {Element} el - The triggering element.
+     * @returns {{onUploadProgress?: function}}
+     */
+    function resolveLiveProgress(el) {
+        const progressEl = closestAncestor(el, "[live-progress]");
+        if (!progressEl) return {};
+        const target = progressEl.getAttribute("live-progress");
+        return {
+            onUploadProgress: (progress) => renderProgress(el, target, progress),
+        };
+    }
+
+    /**
+     * Writes upload progress into the live-progress target(s):
+     *   <progress>, <meter>, <input> -> value (0-100)
+     *   live-progress-mode="text"    -> textContent "42%"
+     *   elemen lain / mode="width"   -> style.width "42%"
+     * Juga dispatch live-dom:progress dari elemen pemicu.
+     */
+    function renderProgress(el, target, { loaded, total }) {
+        const percent = total ? Math.min(100, Math.round((loaded / total) * 100)) : 0;
+
+        if (target) {
+            liveTarget(el, target).forEach((bar) => {
+                const mode =
+                    bar.getAttribute("live-progress-mode") ||
+                    (isEl(bar, "progress, meter, input") ? "value" : "width");
+
+                if (mode === "value") {
+                    if (isEl(bar, "progress, meter")) bar.max = 100;
+                    bar.value = percent;
+                } else if (mode === "text") {
+                    bar.textContent = `${percent}%`;
+                } else {
+                    bar.style.width = `${percent}%`;
+                }
+                bar.setAttribute("aria-valuenow", percent);
+            });
+        }
+
+        emitRequestEvent(el, "live-dom:progress", { loaded, total, percent });
+    }
+
+    /**
+     * Chunked upload (live-upload-chunk="5MB").
+     *
+     * File yang lebih besar dari ukuran chunk dipotong dan dikirim satu per
+     * satu ke action yang sama dengan field `_chunk[...]` + `_chunk_data`;
+     * AjaxController menyimpannya sementara (lihat Support\ChunkedUpload).
+     * Setelah semua chunk sampai, action dipanggil sekali lagi dengan data
+     * form biasa plus `_chunk_uploads[<id>]=<nama field>` — server merakit
+     * file-nya sehingga action cukup membaca `$request->file(...)` seperti
+     * upload biasa.
+     *
+     * Upload id diturunkan dari controller/action/field/file, jadi kalau
+     * koneksi putus, klik ulang akan menanyakan chunk yang sudah diterima
+     * server dan hanya mengirim sisanya. Tombol dengan live-upload-cancel
+     * (atau LiveDom.cancelUploads()) membatalkan upload di scope yang sama
+     * dan membuang chunk di server.
+     */
+    const activeUploads = new Map();
+
+    function resolveUploadChunkSize(el) {
+        const chunkEl = closestAncestor(el, "[live-upload-chunk]");
+        return chunkEl ? parseSize(chunkEl.getAttribute("live-upload-chunk"), 0) : 0;
+    }
+
+    function hashString(str) {
+        let h1 = 0xdeadbeef;
+        let h2 = 0x41c6ce57;
+        for (let i = 0; i < str.length; i++) {
+            const ch = str.charCodeAt(i);
+            h1 = Math.imul(h1 ^ ch, 2654435761);
+            h2 = Math.imul(h2 ^ ch, 1597334677);
+        }
+        h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+        h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+        return (h2 >>> 0).toString(16).padStart(8, "0") + (h1 >>> 0).toString(16).padStart(8, "0");
+    }
+
+    function hasLargeFile(data, chunkSize) {
+        if (!(data instanceof FormData) || chunkSize <= 0) return false;
+        return Array.from(data.values()).some(
+            (value) => value instanceof File && value.size > chunkSize,
+        );
+    }
+
+    function runChunkedUpload(
+        methodType,
+        controller,
+        method,
+        data,
+        domAction,
+        targetEls,
+        loading,
+        el,
+        chunkSize,
+    ) {
+        const uploadScope = closestAncestor(el, "[live-scope]") || el;
+        const abortController = new AbortController();
+        const uploads = activeUploads.get(uploadScope) || new Set();
+        uploads.add(abortController);
+        activeUploads.set(uploadScope, uploads);
+
+        const progressTarget = closestAncestor(el, "[live-progress]")?.getAttribute("live-progress");
+        const finalData = new FormData();
+        const files = [];
+
+        data.forEach((value, name) => {
+            if (value instanceof File && value.size > chunkSize) {
+                const id = hashString(
+                    [controller, method, name, value.name, value.size, value.lastModified].join("|"),
+                );
+                files.push({ id, name, file: value });
+                finalData.append(`_chunk_uploads[${id}]`, name);
+            } else {
+                finalData.append(name, value);
+            }
+        });
+
+        const totalBytes = files.reduce((sum, { file }) => sum + file.size, 0);
+        let sentBytes = 0;
+        const report = (current = 0) =>
+            renderProgress(el, progressTarget, {
+                loaded: Math.min(totalBytes, sentBytes + current),
+                total: totalBytes,
+            });
+
+        const sendChunkRequest = (fields, blob = null, onUploadProgress, signal = abortController.signal) => {
+            const fd = new FormData();
+            Object.entries(fields).forEach(([key, value]) => fd.append(`_chunk[${key}]`, value));
+            if (blob) fd.append("_chunk_data", blob, fields.name);
+            return ajaxDynamic(methodType, controller, method, fd, "", "", null, () => {}, false, {
+                el,
+                sync: "all",
+                silent: true,
+                signal,
+                timeout: 0,
+                onUploadProgress,
+            }).then((res) => {
+                // Server menolak (403/413/429/...) dengan success:false; hentikan upload
+                if (res?.success === false) {
+                    throw createLiveDomError("response", res.message || "Upload chunk failed", { parsed: res });
+                }
+                return res;
+            });
+        };
+
+        const uploadFile = async ({ id, file }) => {
+            const count = Math.ceil(file.size / chunkSize);
+            const status = await sendChunkRequest({ op: "status", id });
+            const received = new Set((status?.data?.received || []).map(Number));
+
+            for (let index = 0; index < count; index++) {
+                const start = index * chunkSize;
+                const blob = file.slice(start, Math.min(file.size, start + chunkSize));
+
+                if (!received.has(index)) {
+                    await sendChunkRequest(
+                        {
+                            op: "put",
+                            id,
+                            index,
+                            count,
+                            size: file.size,
+                            name: file.name,
+                            type: file.type || "application/octet-stream",
+                        },
+                        blob,
+                        ({ loaded }) => report(Math.min(loaded, blob.size)),
+                    );
+                }
+                sentBytes += blob.size;
+                report();
+            }
+        };
+
+        showLoading(loading);
+
+        // Error request final sudah dilaporkan oleh ajaxDynamic() sendiri.
+        let assembling = false;
+        const request = files
+            .reduce((chain, entry) => chain.then(() => uploadFile(entry)), Promise.resolve())
+            .then(() => {
+                if (abortController.signal.aborted) {
+                    throw new DOMException("Upload cancelled", "AbortError");
+                }
+                assembling = true;
+                return runAjaxRequest(
+                    methodType,
+                    controller,
+                    method,
+                    finalData,
+                    domAction,
+                    targetEls,
+                    null,
+                    el,
+                    { debounce: 0 },
+                );
+            });
+
+        request
+            .catch((err) => {
+                if (err.name === "AbortError") {
+                    if (!abortController.signal.aborted) return;
+                    files.forEach(({ id }) =>
+                        sendChunkRequest({ op: "cancel", id }, null, null, null).catch(() => {}),
+                    );
+                    emitRequestEvent(el, "live-dom:uploadCancelled", { controller, action: method });
+                    return;
+                }
+                if (!assembling) reportLiveError(err, el);
+            })
+            .finally(() => {
+                uploads.delete(abortController);
+                if (!uploads.size) activeUploads.delete(uploadScope);
+                hideLoading(loading);
+            });
+
+        return request;
+    }
+
+    /**
+     * Cancels running chunked uploads.
+     * @param {Element} [el] - Element inside the live-scope whose uploads
+     *   should stop; without it every upload on the page is cancelled.
+     */
+    function cancelUploads(el) {
+        const scope = el ? closestAncestor(el, "[live-scope]") || el : null;
+        activeUploads.forEach((uploads, uploadScope) => {
+            if (!scope || scope === uploadScope) {
+                uploads.forEach((controller) => controller.abort());
+            }
+        });
+    }
+
+    window.LiveDom.cancelUploads = cancelUploads;
+
+    /*==============================
+      STREAMING (live-stream)
+    ==============================*/
+
+    /**
+     * Response streaming dipakai kalau request meminta `stream` dan server
+     * menjawab 2xx dengan body non-JSON (liveStream() di PHP). Envelope JSON
+     * biasa — termasuk 422/500 — tetap lewat parseLiveResponse().
+     * @param {Response} res
+     * @returns {boolean}
+     */
+    function isStreamResponse(res) {
+        const contentType = res.headers.get("content-type") || "";
+        return res.ok && !!res.body && !contentType.includes("application/json");
+    }
+
+    /**
+     * Reads a streamed body incrementally and hands every piece to `onChunk`:
+     *   html   -> { type: "html", chunk }  (apa adanya, bisa memotong tag)
+     *   ndjson -> { type: "event", event } (satu object JSON per baris)
+     * Format diambil dari header X-LiveDom-Stream, lalu content-type.
+     * @param {Response} res
+     * @param {function(object)} onChunk
+     * @returns {Promise<object>} Envelope `{ success, streamed, data }`.
+     */
+    async function readLiveStream(res, onChunk) {
+        const contentType = res.headers.get("content-type") || "";
+        const format =
+            res.headers.get("X-LiveDom-Stream") ||
+            (contentType.includes("ndjson") ? "ndjson" : "html");
+        const reader = res.body.getReader();
+        const decoder = new TextDecoder();
+        let text = "";
+        let pending = "";
+
+        const emitLine = (line) => {
+            if (!line.trim()) return;
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch {
+                event = { html: line };
+            }
+            if (event?.error) {
+                throw createLiveDomError("response", String(event.error), {
+                    parsed: event,
+                    partial: true,
+                });
+            }
+            onChunk({ type: "event", event });
+        };
+
+        const push = (chunk) => {
+            if (!chunk) return;
+            text += chunk;
+            if (format !== "ndjson") {
+                onChunk({ type: "html", chunk });
+                return;
+            }
+            pending += chunk;
+            const lines = pending.split("\n");
+            pending = lines.pop();
+            lines.forEach(emitLine);
+        };
+
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                push(decoder.decode(value, { stream: true }));
+            }
+            push(decoder.decode());
+            if (format === "ndjson") emitLine(pending);
+        } catch (err) {
+            if (err.name === "AbortError" || err.name === "LiveDomError") throw err;
+            // Sebagian response sudah dirender — jangan di-retry.
+            throw createLiveDomError("network", err.message, { cause: err, partial: true });
+        }
+
+        invalidateCacheTags(res.headers.get("X-LiveDom-Invalidate"));
+
+        return {
+            success: true,
+            streamed: true,
+            message: "Streamed",
+            data: format === "ndjson" ? null : text,
+        };
+    }
+
+    /**
+     * live-stream di elemen pemicu atau ancestor-nya; live-stream="false"
+     * mematikannya untuk subtree.
+     * @param {Element} el - The triggering element.
+     * @returns {boolean}
+     */
+    function isLiveStream(el) {
+        const streamEl = closestAncestor(el, "[live-stream]");
+        return !!streamEl && streamEl.getAttribute("live-stream") !== "false";
+    }
+
+    const VOID_TAGS = [
+        "area", "base", "br", "col", "embed", "hr", "img", "input", "link",
+        "meta", "source", "track", "wbr",
+    ];
+    const RAW_TEXT_TAGS = ["script", "style", "textarea", "title"];
+    const HTML_TAG_PATTERN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:-]*)(?:[^>"']|"[^"]*"|'[^']*')*?(\/?)>/g;
+
+    /**
+     * Length of the prefix of a streamed HTML buffer that can be inserted
+     * for good: berakhir di titik di mana semua elemen level atas sudah
+     * ditutup (tidak ada tag / entity yang terpotong). Sisanya ditahan
+     * sampai chunk berikutnya.
+     * @param {string} html
+     * @returns {number}
+     */
+    function settledHtmlLength(html) {
+        let depth = 0;
+        let settled = 0;
+        let match;
+        HTML_TAG_PATTERN.lastIndex = 0;
+
+        while ((match = HTML_TAG_PATTERN.exec(html))) {
+            if (depth === 0) settled = match.index;
+            const [token, closing, name = "", selfClosing] = match;
+            const tag = name.toLowerCase();
+            if (!token.startsWith("<!--")) {
+                if (closing) {
+                    depth = Math.max(0, depth - 1);
+                } else if (RAW_TEXT_TAGS.includes(tag)) {
+                    const end = html.toLowerCase().indexOf(`</${tag}`, HTML_TAG_PATTERN.lastIndex);
+                    const close = end === -1 ? -1 : html.indexOf(">", end);
+                    if (close === -1) return depth === 0 ? match.index : settled;
+                    HTML_TAG_PATTERN.lastIndex = close + 1;
+                } else if (!selfClosing && !VOID_TAGS.includes(tag)) {
+                    depth++;
+                }
+            }
+            if (depth === 0) settled = HTML_TAG_PATTERN.lastIndex;
+        }
+
+        if (depth > 0) return settled;
+        // Teks di level atas: tahan tag yang belum lengkap atau entity
+        // ("&am") di ujung buffer.
+        const tail = html.slice(settled);
+        const cut = tail.search(/<[^>]*$|&[#\w]*$/);
+        return settled + (cut === -1 ? tail.length : cut);
+    }
+
+    /**
+     * Builds the `stream` handler for one live-* request.
+     *
+     * HTML stream: hanya potongan baru yang ditambahkan ke target (tidak
+     * me-render ulang semua yang sudah diterima), jadi konten yang sudah
+     * tampil — termasuk fokus & isian input — tidak tersentuh. Elemen yang
+     * belum selesai dikirim ditampilkan sementara dan diganti begitu
+     * penutupnya tiba. Dengan live-dom="append" konten lama dipertahankan.
+     * NDJSON: tiap event `{ html, dom, target, fragments, commands,
+     * invalidate }` diterapkan sendiri-sendiri, `dom` default "append".
+     * @param {Element} el - The triggering element.
+     * @param {Element[]|string} targetEls
+     * @param {string} domAction
+     * @returns {function(object)}
+     */
+    function createStreamRenderer(el, targetEls, domAction) {
+        const targets = toElements(targetEls);
+        // target -> node sementara dari elemen yang belum lengkap
+        const provisional = new Map();
+        let pending = "";
+        let chunks = 0;
+
+        const insertHtml = (target, html) => {
+            if (!html) return [];
+            const before = target.lastChild;
+            target.insertAdjacentHTML("beforeend", safeHtml(target, html));
+            const nodes = [];
+            for (let node = before ? before.nextSibling : target.firstChild; node; node = node.nextSibling) {
+                nodes.push(node);
+            }
+            return nodes;
+        };
+
+        return (piece) => {
+            chunks++;
+            if (piece.type === "html") {
+                pending += piece.chunk;
+                const cut = settledHtmlLength(pending);
+                const settled = pending.slice(0, cut);
+                pending = pending.slice(cut);
+
+                targets.forEach((target) => {
+                    if (!provisional.has(target)) {
+                        if (domAction !== "append") target.innerHTML = "";
+                        provisional.set(target, []);
+                    }
+                    provisional.get(target).forEach((node) => node.remove());
+                    insertHtml(target, settled);
+                    provisional.set(target, insertHtml(target, pending));
+                });
+            } else {
+                const event = piece.event || {};
+                if (event.html !== undefined && event.html !== null) {
+                    const eventTargets = event.target ? qsa(event.target) : targets;
+                    applyDomAction(eventTargets, event.dom || "append", String(event.html));
                 }
+                applyFragments(event.fragments);
+                invalidateCacheTags(event.invalidate);
+                runLiveCommands(event.commands, el);
+            }
+
+            emitRequestEvent(el, "live-dom:streamChunk", {
+                chunk: piece.type === "html" ? piece.chunk : undefined,
+                event: piece.event,
+                chunks,
             });
+        };
+    }
+
+    /*==============================
+      PUBLIC REQUEST API
+    ==============================*/
+
+    /**
+     * Calls a controller action from JavaScript and returns a Promise,
+     * so custom widgets can `await` the result instead of wiring
+     * live-callback-after globals.
+     *
+     *   const res = await LiveDom.call("InvoiceController", "store", { id: 5 }, {
+     *       target: "#result", dom: "html",
+     *   });
+     *
+     * @param {string} controller - Controller path, same as live-scope.
+     * @param {string} action - Controller method.
+     * @param {object|FormData} [data={}] - Payload.
+     * @param {object} [options={}]
+     * @param {string} [options.method="POST"] - HTTP method.
+     * @param {string|Element|Element[]} [options.target] - Where to apply the
+     *   response. Without a target nothing in the DOM is touched.
+     * @param {string} [options.dom="auto"] - DOM action (html, append, value, ...).
+     * @param {string|Element|Array} [options.loading] - Loading indicator target(s).
+     * @param {AbortSignal} [options.signal] - Cancels the request.
+     * @param {boolean|number|string} [options.debounce=false] - Sent
+     *   immediately by default; a number/duration ("250ms") sets a delay,
+     *   true uses LiveDom.config.debounce. A call superseded while waiting
+     *   rejects with an AbortError.
+     * @param {number|string} [options.throttle] - At most one request per window.
+     * @param {boolean} [options.silent=false] - Skip the built-in error toast/modal.
+     * @param {string} [options.sync="all"] - abort | queue | drop | replace | all.
+     *   By default every call runs independently, so identical concurrent
+     *   calls never cancel each other.
+     * @param {string|Element} [options.syncKey] - Requests sharing a key are
+     *   synchronized; with a `sync` mode set it defaults to controller + action.
+     * @param {string} [options.endpoint] - Base URL override; defaults to the
+     *   live-endpoint of the target's scope, then the global endpoint.
+     * @param {number|string|object} [options.cache] - Cache the response: a TTL
+     *   ("60s") or { ttl, tags, persist: "session", swr: true }.
+     * @param {string|string[]} [options.invalidate] - Cache tags to invalidate
+     *   once this request succeeds.
+     * @param {number|string} [options.timeout] - Per-attempt timeout ("10s").
+     * @param {number} [options.retry] - Retries for GET requests.
+     * @returns {Promise<{success: boolean, data: *, message: string}>}
+     *   Rejects with a LiveDomError (`err.type`: "http", "validation",
+     *   "response", "network", "timeout") or an AbortError.
+     */
+    window.LiveDom.call = function (controller, action, data = {}, options = {}) {
+        if (!controller || !action) {
+            return Promise.reject(
+                new TypeError("[LiveDom] call() needs a controller and an action."),
+            );
+        }
+
+        const methodType = (options.method || "POST").toUpperCase();
+        const domAction = options.dom || "auto";
+        const targetEls = options.target ? toElements(options.target) : [];
+        const loading = options.loading || null;
+        const requestOptions = {
+            signal: options.signal,
+            silent: !!options.silent,
+            endpoint: options.endpoint,
+            el: targetEls[0] || null,
+            debounce:
+                options.debounce === false || options.debounce === undefined
+                    ? 0
+                    : options.debounce === true
+                        ? defaultDebounceMs()
+                        : parseDuration(options.debounce, defaultDebounceMs()),
+            rejectSuperseded: true,
+            throttle: parseDuration(options.throttle, 0),
+            cache: options.cache,
+            invalidateTags: options.invalidate,
+            timeout: options.timeout,
+            retry: options.retry,
+        };
+        // Tanpa `sync` eksplisit tiap panggilan berdiri sendiri: key default
+        // ajaxDynamic() (controller_action_method_data) membuat panggilan
+        // identik — atau semua FormData ke action yang sama — saling abort.
+        requestOptions.sync = options.sync || "all";
+        if (options.sync) {
+            requestOptions.syncKey =
+                options.syncKey instanceof Element
+                    ? elementKey(options.syncKey)
+                    : options.syncKey || `${controller}::${action}`;
+        }
+
+        const callback = (response) => {
+            if (!response || response.success === false) return;
+            if (options.target) {
+                applyLiveResponse(
+                    renderResponseTemplate(response, options.render),
+                    domAction,
+                    targetEls,
+                );
+            } else {
+                runLiveCommands(response.commands);
+            }
+        };
+
+        const request = debouncedAjaxDynamic(
+            methodType,
+            controller,
+            action,
+            data,
+            "",
+            "",
+            loading,
+            callback,
+            requestOptions,
+        );
+
+        return request.then((response) => {
+            if (response && response.success === false) {
+                throw createLiveDomError(
+                    "response",
+                    response.message || "Request failed",
+                    { parsed: response },
+                );
+            }
+            return response;
+        });
+    };
+
+    /*==============================
+      RESPONSE COMMANDS
+    ==============================*/
+
+    // type -> handler(command, el). Server mengirimnya lewat liveResponse()
+    // sebagai `commands: [{ type, ... }]` di envelope JSON.
+    const liveCommands = Object.create(null);
+
+    /**
+     * Registers (or overrides) a response command handler.
+     *
+     *   LiveDom.registerCommand("confetti", (cmd, el) => party(cmd.colors));
+     *   // PHP: liveResponse($html)->command('confetti', ['colors' => [...]])
+     *
+     * @param {string} type - Command type.
+     * @param {function(object, Element|null)} handler - Receives the command
+     *   object and the triggering element (if any).
+     */
+    function registerLiveCommand(type, handler) {
+        if (!type || typeof handler !== "function") {
+            throw new TypeError("[LiveDom] registerCommand() needs a type and a handler.");
+        }
+        liveCommands[type] = handler;
+    }
+
+    /**
+     * Runs the `commands` of a response envelope in order. Satu command yang
+     * gagal dicatat di console dan tidak menghentikan command berikutnya.
+     * @param {Array<object>} commands
+     * @param {Element|null} [el=null] - The triggering element.
+     */
+    function runLiveCommands(commands, el = null) {
+        if (!Array.isArray(commands)) return;
+
+        commands.forEach((command) => {
+            const handler = command && liveCommands[command.type];
+            if (!handler) {
+                console.warn(`[LiveDom] Unknown response command "${command?.type}".`);
+                return;
+            }
+            try {
+                const result = handler(command, el);
+                if (result && typeof result.catch === "function") {
+                    result.catch((err) =>
+                        console.error(`[LiveDom] Command "${command.type}" failed:`, err),
+                    );
+                }
+            } catch (err) {
+                console.error(`[LiveDom] Command "${command.type}" failed:`, err);
+            }
         });
     }
 
+    registerLiveCommand("redirect", (cmd) => {
+        const url = new URL(cmd.url, window.location.href);
+        const viaSpa =
+            cmd.spa !== false &&
+            url.origin === window.location.origin &&
+            document.querySelector('[live-spa-region="main"]') &&
+            !isSpaExcluded(url.href);
+
+        if (viaSpa) loadSpaContent(url.href);
+        else window.location.assign(url.href);
+    });
+
+    registerLiveCommand("toast", (cmd) => {
+        showToast(cmd.message, cmd);
+    });
+
+    registerLiveCommand("dispatch", (cmd, el) => {
+        const targets = cmd.target ? qsa(cmd.target) : [el];
+        targets.forEach((target) =>
+            emitRequestEvent(target, cmd.event, cmd.detail || {}),
+        );
+    });
+
+    registerLiveCommand("focus", (cmd) => {
+        qs(cmd.selector)?.focus();
+    });
+
+    registerLiveCommand("scroll", (cmd) => {
+        qs(cmd.selector)?.scrollIntoView({
+            behavior: cmd.behavior || "smooth",
+            block: cmd.block || "start",
+        });
+    });
+
+    registerLiveCommand("trigger", (cmd) => {
+        qsa(cmd.selector).forEach((target) =>
+            handleLiveEvent(target, cmd.event || "click"),
+        );
+    });
+
+    registerLiveCommand("call", (cmd) =>
+        window.LiveDom.call(cmd.controller, cmd.action, cmd.data || {}, {
+            target: cmd.target,
+            dom: cmd.dom,
+            debounce: false,
+        }).catch(() => {
+            // Sudah dilaporkan oleh ajaxDynamic().
+        }),
+    );
+
+    registerLiveCommand("refresh", (cmd) => {
+        const url = window.location.href;
+        return spaFetchGet(url).then((html) => {
+            updateSpaRegions(html, cmd.regions);
+            whenSwapsSettled(() =>
+                document.dispatchEvent(new CustomEvent("live-dom:afterUpdate")),
+            );
+        });
+    });
+
+    registerLiveCommand("closeModal", (cmd, el) => {
+        const modals = cmd.selector
+            ? qsa(cmd.selector)
+            : [el?.closest?.("dialog, .modal, [role=dialog]")].filter(Boolean);
+
+        modals.forEach((modal) => {
+            if (modal.tagName === "DIALOG") {
+                modal.close();
+            } else if (modal.classList.contains("modal") && window.bootstrap?.Modal) {
+                window.bootstrap.Modal.getOrCreateInstance(modal).hide();
+            } else {
+                hideEl(modal);
+            }
+        });
+    });
+
+    registerLiveCommand("download", (cmd) => {
+        const link = document.createElement("a");
+        link.href = cmd.url;
+        link.download = cmd.filename || "";
+        link.hidden = true;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    });
+
+    window.LiveDom.registerCommand = registerLiveCommand;
+
     /*==============================
       POLLERS
     ==============================*/
@@ -1254,13 +4901,118 @@
             }
 
             const pollInterval = setInterval(() => {
-                ajaxDynamic("GET", controller, method, {}, "html", target);
+                ajaxDynamic(
+                    "GET",
+                    controller,
+                    method,
+                    {},
+                    "html",
+                    target,
+                    null,
+                    null,
+                    false,
+                    { el, ...resolveLiveLimits(el) },
+                );
             }, interval);
 
             pollIntervalStore.set(el, pollInterval); // Store interval ID
         });
     }
 
+    /*==============================
+      LAZY LOADING (INTERSECT)
+    ==============================*/
+
+    /**
+     * Fires an element's action when it scrolls into view.
+     *
+     *   <div live-lazy="loadChart">…placeholder…</div>
+     *   <div live-trigger="intersect" live-click="loadChart"></div>
+     *
+     * Tanpa nilai (atau lewat live-trigger="intersect"), method diambil
+     * dari live-click — sama seperti live-poll. Opsi:
+     *   live-lazy-margin="200px"        -> rootMargin (mulai load sebelum terlihat)
+     *   live-lazy-threshold="0.5"       -> porsi elemen yang harus terlihat
+     *   live-lazy-repeat                -> load ulang setiap kali masuk viewport
+     *   live-lazy-placeholder="#tpl"    -> isi sementara selama belum ada response
+     * Response diterapkan lewat live-target / live-dom seperti trigger lain.
+     */
+    const lazyObservers = new Map();
+    const lazyObserved = new WeakSet();
+    // el -> observer untuk elemen yang masih ditunggu; dibersihkan di setiap
+    // initLiveDom() supaya elemen yang dibuang swap / navigasi SPA sebelum
+    // sempat terlihat tidak ditahan observer.
+    const lazyWatching = new Map();
+
+    function isLazyClickHolder(el) {
+        if (isEl(el, '[live-trigger~="intersect"]')) return true;
+        const lazy = el.getAttribute("live-lazy");
+        return lazy === "" || lazy === "true";
+    }
+
+    function lazyObserverFor(rootMargin, threshold) {
+        const key = `${rootMargin}|${threshold}`;
+        if (!lazyObservers.has(key)) {
+            lazyObservers.set(
+                key,
+                new IntersectionObserver(
+                    (entries, observer) => {
+                        entries.forEach((entry) => {
+                            if (!entry.isIntersecting) return;
+                            const el = entry.target;
+                            if (!el.hasAttribute("live-lazy-repeat")) {
+                                observer.unobserve(el);
+                                lazyWatching.delete(el);
+                            }
+                            fireLazy(el);
+                        });
+                    },
+                    { rootMargin, threshold },
+                ),
+            );
+        }
+        return lazyObservers.get(key);
+    }
+
+    function fireLazy(el) {
+        const placeholderSel = el.getAttribute("live-lazy-placeholder");
+        if (placeholderSel) {
+            const placeholder = qs(placeholderSel);
+            const targetSel = el.getAttribute("live-target");
+            const targets = targetSel ? liveTarget(el, targetSel) : [el];
+            if (placeholder) targets.forEach((t) => (t.innerHTML = placeholder.innerHTML));
+        }
+
+        const lazyMethods = el.getAttribute("live-lazy");
+        handleLiveEvent(el, lazyMethods && lazyMethods !== "true" ? "lazy" : "click");
+    }
+
+    function handleLazyElements() {
+        lazyWatching.forEach((observer, el) => {
+            if (el.isConnected) return;
+            observer.unobserve(el);
+            lazyWatching.delete(el);
+        });
+
+        qsa('[live-lazy], [live-trigger~="intersect"]').forEach((el) => {
+            if (lazyObserved.has(el)) return;
+            lazyObserved.add(el);
+
+            if (typeof IntersectionObserver === "undefined") {
+                fireLazy(el);
+                return;
+            }
+
+            const threshold = parseFloat(el.getAttribute("live-lazy-threshold"));
+            const observer = lazyObserverFor(
+                el.getAttribute("live-lazy-margin") || "0px",
+                isNaN(threshold) ? 0 : Math.min(1, Math.max(0, threshold)),
+            );
+            observer.observe(el);
+            lazyWatching.set(el, observer);
+        });
+    }
+
     /*==============================
       LIVE COMPUTE — FORMAT REGISTRY
       (shared across every handleLiveComputeUnified() instance)
@@ -1283,11 +5035,31 @@
     // LiveDom.setCurrency()/unpin() can reach all of them, not just the last one.
     const liveComputeInstances = [];
 
-    window.LiveDom = window.LiveDom || {};
-
     // Global default currency. Elements only follow this when they explicitly
     // opt in with live-compute-format="auto" — everything else is untouched.
-    window.LiveDom.config = window.LiveDom.config || { currency: "idr" };
+    // `debounce` is the default delay for input/keyup/change/hover triggers.
+    // `timeout` / `retry` / `retryDelay` / `slowAfter` are request defaults
+    // (see resolveRequestLimits()). `dedupe` coalesces identical in-flight
+    // GETs (see sharedGet()). `onStatus` maps "401" / "5xx" / "timeout" to
+    // error actions (see routeLiveError()). `validation` sets the 422 field
+    // error markup (see showFormErrors()). Optional `toast: { duration }`
+    // sets the default lifetime of showToast() notifications,
+    // `viewTransitions: true` wraps every swap in a View Transition, and
+    // `sanitize: true` runs every HTML swap through sanitizeHtml() (allowlist
+    // in `sanitizer`; "always" also ignores live-sanitize="false").
+    window.LiveDom.config = window.LiveDom.config || {
+        currency: "idr",
+        debounce: DEFAULT_DEBOUNCE_MS,
+        timeout: DEFAULT_TIMEOUT_MS,
+        retry: 0,
+        retryDelay: DEFAULT_RETRY_DELAY_MS,
+        slowAfter: DEFAULT_SLOW_AFTER_MS,
+        dedupe: true,
+        onStatus: {},
+        validation: { ...DEFAULT_VALIDATION_CONFIG },
+        sanitize: false,
+        sanitizer: { ...DEFAULT_SANITIZER_CONFIG },
+    };
 
     /**
      * Register a custom currency/format (e.g. "gbp", "cny") without touching
@@ -2691,10 +6463,14 @@
 
         showLoadingBar();
 
-        return fetch(url, {
-            headers: { "X-Requested-With": "XMLHttpRequest" },
-            signal,
-        })
+        return liveFetch(
+            url,
+            {
+                headers: { "X-Requested-With": "XMLHttpRequest" },
+                signal,
+            },
+            { source: "spa" },
+        )
             .then((res) => res.text())
             .finally(() => {
                 hideLoadingBar();
@@ -2708,10 +6484,12 @@
      * @param {string} url
      */
     function dispatchSpaEvents(url) {
-        document.dispatchEvent(new CustomEvent("live-dom:afterUpdate"));
-        document.dispatchEvent(
-            new CustomEvent("live-dom:afterSpa", { detail: { url } }),
-        );
+        whenSwapsSettled(() => {
+            document.dispatchEvent(new CustomEvent("live-dom:afterUpdate"));
+            document.dispatchEvent(
+                new CustomEvent("live-dom:afterSpa", { detail: { url } }),
+            );
+        });
     }
 
     let currentSpaController = null;
@@ -2750,7 +6528,7 @@
                 data instanceof FormData ? data : new URLSearchParams(data);
         }
 
-        fetch(url, fetchOptions)
+        liveFetch(url, fetchOptions, { source: "spa" })
             .then(async (response) => {
                 const html = await response.text();
                 if (!response.ok) {
@@ -2777,22 +6555,48 @@
 
     /**
      * Updates SPA regions with new HTML content.
+     * Region dengan live-transition-* dianimasikan sendiri-sendiri; kalau
+     * View Transitions aktif (live-transition="view" di salah satu region
+     * atau LiveDom.config.viewTransitions), semua region diganti dalam SATU
+     * View Transition.
      * @param {string} responseHtml - The HTML response to parse.
+     * @param {string[]} [only] - Region names to update; empty = all.
      */
-    function updateSpaRegions(responseHtml) {
+    function updateSpaRegions(responseHtml, only = []) {
         const parser = new DOMParser();
         const doc = parser.parseFromString(responseHtml, "text/html");
-        const regions = document.querySelectorAll("[live-spa-region]");
-        regions.forEach((region) => {
+        const updates = [];
+        document.querySelectorAll("[live-spa-region]").forEach((region) => {
             const regionName = region.getAttribute("live-spa-region");
+            if (only?.length && !only.includes(regionName)) return;
             const newRegion = doc.querySelector(
                 `[live-spa-region="${regionName}"]`,
             );
-            if (newRegion) {
-                region.innerHTML = newRegion.innerHTML;
-                executeScripts(region);
-            }
+            if (newRegion) updates.push([region, newRegion]);
         });
+
+        const swapAll = () =>
+            Promise.all(
+                updates.map(([region, newRegion]) =>
+                    runSwap(
+                        region,
+                        "html",
+                        () => {
+                            region.innerHTML = newRegion.innerHTML;
+                            executeScripts(region);
+                        },
+                        { view: false },
+                    ),
+                ),
+            );
+
+        const useView =
+            updates.length > 0 &&
+            (window.LiveDom.config?.viewTransitions === true ||
+                updates.some(([region]) => region.getAttribute("live-transition") === "view"));
+
+        if (useView) trackSwap(withViewTransition(true, swapAll));
+        else swapAll();
     }
 
     /**
@@ -2917,10 +6721,15 @@
         };
 
         runBeforeCallback()
+            .then((result) =>
+                result !== false && form.hasAttribute("live-confirm")
+                    ? confirmFromElement(form)
+                    : result,
+            )
             .then((result) => {
                 if (result === false) {
                     console.log(
-                        "Form submit cancelled by live-callback-before.",
+                        "Form submit cancelled by live-callback-before / live-confirm.",
                     );
                     return;
                 }
@@ -2940,15 +6749,19 @@
 
                 showLoadingBar();
 
-                fetch(url, {
-                    method,
-                    body: formData,
-                    signal,
-                    headers: {
-                        "X-Requested-With": "XMLHttpRequest",
-                        "X-CSRF-TOKEN": csrfToken(),
+                liveFetch(
+                    url,
+                    {
+                        method,
+                        body: formData,
+                        signal,
+                        headers: {
+                            "X-Requested-With": "XMLHttpRequest",
+                            "X-CSRF-TOKEN": csrfToken(),
+                        },
                     },
-                })
+                    { source: "spa-form", form },
+                )
                     .then(async (response) => {
                         const contentType =
                             response.headers.get("content-type") || "";
@@ -2960,6 +6773,11 @@
                         if (!response.ok) {
                             if (response.status === 422 && isJson) {
                                 showFormErrors(form, body?.errors || {});
+                                emitRequestEvent(form, "live-dom:validationFailed", {
+                                    errors: body?.errors || {},
+                                    message: body?.message,
+                                    scope: form,
+                                });
                             } else {
                                 showErrorModal(body);
                             }
@@ -2980,6 +6798,7 @@
                                         "",
                                         redirectUrl,
                                     );
+                                    runLiveCommands(body?.commands, form);
                                     runAfterCallback(body, false);
                                     callbackSuccess?.(body);
                                 })
@@ -2993,6 +6812,7 @@
                                 });
                         }
 
+                        if (isJson) runLiveCommands(body?.commands, form);
                         runAfterCallback(body, false);
                         callbackSuccess?.(body);
                     })
@@ -3018,36 +6838,6 @@
             });
     }
 
-    /**
-     * Clears form validation errors.
-     * @param {HTMLFormElement} form - The form element.
-     */
-    function clearFormErrors(form) {
-        qsa(".is-invalid", form).forEach((el) => el.classList.remove("is-invalid"));
-        qsa(".invalid-feedback", form).forEach((el) => el.remove());
-    }
-
-    /**
-     * Displays form validation errors.
-     * @param {HTMLFormElement} form - The form element.
-     * @param {object} errors - An object where keys are field names and values are arrays of error messages.
-     */
-    function showFormErrors(form, errors) {
-        for (const [field, messages] of Object.entries(errors)) {
-            const inputs = qsa(`[name="${field}"]`, form);
-            inputs.forEach((inputEl) => {
-                inputEl.classList.add("is-invalid");
-                const next = inputEl.nextElementSibling;
-                const alreadyHasFeedback =
-                    next && next.classList.contains("invalid-feedback");
-                if (!alreadyHasFeedback) {
-                    const errorHtml = `<div class="invalid-feedback text-red-600 text-sm mt-1">${messages.join("<br>")}</div>`;
-                    inputEl.insertAdjacentHTML("afterend", errorHtml);
-                }
-            });
-        }
-    }
-
     /**
      * Checks if a URL should be excluded from SPA handling.
      * @param {string} url - The URL to check.
@@ -3788,6 +7578,394 @@
         ${framesHtml}`;
     }
 
+    /*==============================
+      CONFIRM DIALOG
+    ==============================*/
+
+    // Dialog yang sedang terbuka ({ close, previousFocus }) — dialog baru
+    // menutupnya dengan hasil false supaya await pemanggil lama tetap selesai.
+    let activeConfirm = null;
+
+    /**
+     * Themed, accessible replacement for window.confirm(), styled like the
+     * production error modal. Fokus dikunci di dalam dialog (Tab berputar),
+     * Escape / klik backdrop = batal, dan fokus dikembalikan ke elemen
+     * sebelumnya saat dialog ditutup. Warna aksen bisa diganti lewat CSS
+     * variable `--livedom-confirm-accent`.
+     *
+     * @param {string|object} options - Message, or:
+     * @param {string} options.message
+     * @param {string} [options.title]
+     * @param {string} [options.confirmText]
+     * @param {string} [options.cancelText]
+     * @param {string} [options.requireText] - User must type this exact text
+     *   before the confirm button is enabled.
+     * @returns {Promise<boolean>}
+     */
+    function showConfirmDialog(options) {
+        const defaults = window.LiveDom.config?.confirm || {};
+        const opts = typeof options === "string" ? { message: options } : options || {};
+        const title = opts.title || defaults.title || "Apakah Anda yakin?";
+        const confirmText = opts.confirmText || defaults.confirmText || "Ya, lanjutkan";
+        const cancelText = opts.cancelText || defaults.cancelText || "Batal";
+        const requireText = opts.requireText || "";
+
+        // Fokus dikembalikan ke elemen sebelum dialog PERTAMA, bukan ke
+        // tombol di dialog lama yang sudah dibuang.
+        const previousFocus = activeConfirm
+            ? activeConfirm.previousFocus
+            : document.activeElement;
+        if (activeConfirm) activeConfirm.close(false, true);
+        const existing = document.getElementById("livedom-confirm-modal");
+        if (existing) existing.remove();
+
+        const wrapper = document.createElement("div");
+        wrapper.id = "livedom-confirm-modal";
+        wrapper.setAttribute("role", "alertdialog");
+        wrapper.setAttribute("aria-modal", "true");
+        wrapper.setAttribute("aria-labelledby", "_ldc-title");
+        wrapper.setAttribute("aria-describedby", "_ldc-msg");
+        wrapper.innerHTML = `
+        <style>
+            #livedom-confirm-modal {
+                --livedom-confirm-accent: #fc4b4b;
+                position: fixed;
+                inset: 0;
+                z-index: 99999;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                padding: 16px;
+                background: rgba(0, 0, 0, 0.45);
+                backdrop-filter: blur(2px);
+                animation: _ldc-backdrop-in 0.2s ease forwards;
+                font-family: 'Segoe UI', system-ui, sans-serif;
+            }
+            @keyframes _ldc-backdrop-in {
+                from { opacity: 0; }
+                to   { opacity: 1; }
+            }
+            #_ldc-box {
+                background: #fff;
+                border-radius: 16px;
+                padding: 32px;
+                max-width: 420px;
+                width: 100%;
+                text-align: center;
+                box-shadow: 0 20px 60px rgba(0,0,0,0.2);
+                animation: _ldc-box-in 0.25s cubic-bezier(.22,.68,0,1.2) forwards;
+            }
+            @keyframes _ldc-box-in {
+                from { opacity: 0; transform: scale(0.88) translateY(12px); }
+                to   { opacity: 1; transform: scale(1) translateY(0); }
+            }
+            #_ldc-title {
+                font-size: 20px;
+                font-weight: 700;
+                color: #111827;
+                margin: 0 0 10px;
+                line-height: 1.3;
+            }
+            #_ldc-msg {
+                font-size: 15px;
+                color: #6b7280;
+                line-height: 1.6;
+                margin: 0 0 20px;
+            }
+            #_ldc-require-label {
+                display: block;
+                text-align: left;
+                font-size: 13px;
+                color: #374151;
+                margin-bottom: 6px;
+            }
+            #_ldc-require-label code {
+                font-weight: 700;
+                color: #111827;
+            }
+            #_ldc-input {
+                width: 100%;
+                box-sizing: border-box;
+                padding: 10px 12px;
+                border: 1px solid #d1d5db;
+                border-radius: 10px;
+                font-size: 15px;
+                margin-bottom: 20px;
+            }
+            #_ldc-input:focus { outline: 2px solid var(--livedom-confirm-accent); outline-offset: 1px; }
+            #_ldc-actions {
+                display: flex;
+                gap: 10px;
+                justify-content: center;
+            }
+            #_ldc-actions button {
+                border: none;
+                border-radius: 10px;
+                padding: 12px 24px;
+                font-size: 15px;
+                font-weight: 600;
+                cursor: pointer;
+                min-width: 120px;
+                transition: filter 0.15s, transform 0.1s;
+            }
+            #_ldc-actions button:active { transform: scale(0.97); }
+            #_ldc-actions button:focus-visible { outline: 2px solid #111827; outline-offset: 2px; }
+            #_ldc-cancel { background: #f3f4f6; color: #111827; }
+            #_ldc-ok { background: var(--livedom-confirm-accent); color: #fff; }
+            #_ldc-ok:hover:not(:disabled) { filter: brightness(0.9); }
+            #_ldc-ok:disabled { opacity: 0.5; cursor: not-allowed; }
+        </style>
+
+        <div id="_ldc-box">
+            <h2 id="_ldc-title"></h2>
+            <p id="_ldc-msg"></p>
+            <div id="_ldc-require" hidden>
+                <label id="_ldc-require-label" for="_ldc-input"></label>
+                <input id="_ldc-input" type="text" autocomplete="off" spellcheck="false" />
+            </div>
+            <div id="_ldc-actions">
+                <button type="button" id="_ldc-cancel"></button>
+                <button type="button" id="_ldc-ok"></button>
+            </div>
+        </div>
+    `;
+
+        // Teks diisi via textContent — pesan bisa berasal dari data user.
+        wrapper.querySelector("#_ldc-title").textContent = title;
+        wrapper.querySelector("#_ldc-msg").textContent = opts.message || "";
+        wrapper.querySelector("#_ldc-cancel").textContent = cancelText;
+        const okBtn = wrapper.querySelector("#_ldc-ok");
+        okBtn.textContent = confirmText;
+
+        const input = wrapper.querySelector("#_ldc-input");
+        if (requireText) {
+            const label = wrapper.querySelector("#_ldc-require-label");
+            label.append("Ketik ");
+            const code = document.createElement("code");
+            code.textContent = requireText;
+            label.append(code, " untuk mengonfirmasi");
+            wrapper.querySelector("#_ldc-require").hidden = false;
+            okBtn.disabled = true;
+            input.addEventListener("input", () => {
+                okBtn.disabled = input.value !== requireText;
+            });
+        }
+
+        document.body.appendChild(wrapper);
+
+        return new Promise((resolve) => {
+            let closed = false;
+            // superseded: digantikan dialog baru — hapus langsung, fokus
+            // tidak dikembalikan karena dialog baru yang memegangnya.
+            const close = (result, superseded = false) => {
+                if (closed) return;
+                closed = true;
+                if (activeConfirm?.close === close) activeConfirm = null;
+                document.removeEventListener("keydown", onKey, true);
+                if (superseded) {
+                    wrapper.remove();
+                } else {
+                    wrapper.style.transition = "opacity 0.2s";
+                    wrapper.style.opacity = "0";
+                    setTimeout(() => wrapper.remove(), 200);
+                    if (previousFocus && typeof previousFocus.focus === "function") {
+                        previousFocus.focus();
+                    }
+                }
+                resolve(result);
+            };
+            activeConfirm = { close, previousFocus };
+
+            const onKey = (e) => {
+                if (e.key === "Escape") {
+                    e.preventDefault();
+                    close(false);
+                } else if (e.key === "Enter" && e.target === input && !okBtn.disabled) {
+                    e.preventDefault();
+                    close(true);
+                } else if (e.key === "Tab") {
+                    const focusable = qsa("input, button:not(:disabled)", wrapper)
+                        .filter((node) => node.offsetParent !== null);
+                    const first = focusable[0];
+                    const last = focusable[focusable.length - 1];
+                    if (e.shiftKey && document.activeElement === first) {
+                        e.preventDefault();
+                        last.focus();
+                    } else if (!e.shiftKey && document.activeElement === last) {
+                        e.preventDefault();
+                        first.focus();
+                    }
+                }
+            };
+            document.addEventListener("keydown", onKey, true);
+
+            okBtn.onclick = () => close(true);
+            wrapper.querySelector("#_ldc-cancel").onclick = () => close(false);
+            wrapper.addEventListener("click", (e) => {
+                if (e.target === wrapper) close(false);
+            });
+
+            // Aksi destruktif: fokus awal di Batal (atau input type-to-confirm).
+            (requireText ? input : wrapper.querySelector("#_ldc-cancel")).focus();
+        });
+    }
+
+    /**
+     * Reads the live-confirm attributes of a trigger or form.
+     *
+     *   live-confirm="Hapus invoice ini?"
+     *   live-confirm-title="Hapus invoice"
+     *   live-confirm-ok="Hapus" live-confirm-cancel="Batal"
+     *   live-confirm-input="INV-0001"   -> user harus mengetik INV-0001
+     * @param {Element} el
+     * @returns {Promise<boolean>}
+     */
+    function confirmFromElement(el) {
+        return showConfirmDialog({
+            message: el.getAttribute("live-confirm"),
+            title: el.getAttribute("live-confirm-title"),
+            confirmText: el.getAttribute("live-confirm-ok"),
+            cancelText: el.getAttribute("live-confirm-cancel"),
+            requireText: el.getAttribute("live-confirm-input"),
+        });
+    }
+
+    window.LiveDom.confirm = showConfirmDialog;
+
+    /*==============================
+      TOASTS
+    ==============================*/
+
+    const TOAST_ACCENTS = {
+        success: "#16a34a",
+        info: "#2563eb",
+        warning: "#d97706",
+        error: "#dc2626",
+    };
+    const DEFAULT_TOAST_MS = 4000;
+
+    function toastStack() {
+        let stack = document.getElementById("livedom-toasts");
+        if (stack) return stack;
+
+        stack = document.createElement("div");
+        stack.id = "livedom-toasts";
+        stack.setAttribute("role", "region");
+        stack.setAttribute("aria-label", "Notifications");
+        stack.innerHTML = `
+        <style>
+            #livedom-toasts {
+                position: fixed;
+                top: 16px;
+                right: 16px;
+                z-index: 99998;
+                display: flex;
+                flex-direction: column;
+                gap: 10px;
+                width: min(360px, calc(100vw - 32px));
+                font-family: 'Segoe UI', system-ui, sans-serif;
+                pointer-events: none;
+            }
+            ._ldt-toast {
+                display: flex;
+                align-items: flex-start;
+                gap: 12px;
+                background: #fff;
+                border-left: 4px solid var(--_ldt-accent);
+                border-radius: 10px;
+                padding: 14px 14px 14px 16px;
+                box-shadow: 0 10px 30px rgba(0,0,0,0.15);
+                pointer-events: auto;
+                animation: _ldt-in 0.2s ease forwards;
+            }
+            @keyframes _ldt-in {
+                from { opacity: 0; transform: translateX(16px); }
+                to   { opacity: 1; transform: translateX(0); }
+            }
+            ._ldt-body { flex: 1; min-width: 0; }
+            ._ldt-title {
+                font-size: 14px;
+                font-weight: 700;
+                color: #111827;
+                margin: 0 0 2px;
+            }
+            ._ldt-msg {
+                font-size: 14px;
+                color: #4b5563;
+                line-height: 1.5;
+                margin: 0;
+                overflow-wrap: anywhere;
+            }
+            ._ldt-close {
+                border: none;
+                background: none;
+                color: #9ca3af;
+                font-size: 18px;
+                line-height: 1;
+                cursor: pointer;
+                padding: 0 2px;
+            }
+            ._ldt-close:hover { color: #111827; }
+        </style>`;
+        document.body.appendChild(stack);
+        return stack;
+    }
+
+    /**
+     * Non-blocking notification (kanan atas), dipakai command "toast" dari
+     * server. Beda dengan showProductionErrorToast() yang berupa modal error.
+     *
+     * @param {string} message
+     * @param {object} [options]
+     * @param {string} [options.level="info"] - success | info | warning | error
+     * @param {string} [options.title]
+     * @param {number} [options.duration] - ms sebelum hilang sendiri; 0 = tetap
+     *   sampai ditutup. Default LiveDom.config.toast.duration (4 s).
+     * @returns {{close: function}}
+     */
+    function showToast(message, options = {}) {
+        const level = TOAST_ACCENTS[options.level] ? options.level : "info";
+        const configured = window.LiveDom.config?.toast?.duration;
+        const duration = parseDuration(
+            options.duration ?? configured,
+            DEFAULT_TOAST_MS,
+        );
+
+        const toast = document.createElement("div");
+        toast.className = `_ldt-toast _ldt-${level}`;
+        toast.style.setProperty("--_ldt-accent", TOAST_ACCENTS[level]);
+        toast.setAttribute("role", level === "error" ? "alert" : "status");
+        toast.innerHTML = `
+            <div class="_ldt-body">
+                <p class="_ldt-title" hidden></p>
+                <p class="_ldt-msg"></p>
+            </div>
+            <button type="button" class="_ldt-close" aria-label="Close">&times;</button>`;
+
+        // Pesan bisa berasal dari data user — isi via textContent.
+        if (options.title) {
+            const titleEl = toast.querySelector("._ldt-title");
+            titleEl.textContent = options.title;
+            titleEl.hidden = false;
+        }
+        toast.querySelector("._ldt-msg").textContent = message ?? "";
+
+        let timer = null;
+        const close = () => {
+            clearTimeout(timer);
+            toast.style.transition = "opacity 0.2s";
+            toast.style.opacity = "0";
+            setTimeout(() => toast.remove(), 200);
+        };
+        toast.querySelector("._ldt-close").onclick = close;
+        if (duration > 0) timer = setTimeout(close, duration);
+
+        toastStack().appendChild(toast);
+        return { close };
+    }
+
+    window.LiveDom.toast = showToast;
+
     /*==============================
     LIVE DOM AUTO EVAL SCRIPT
     ==============================*/
@@ -3917,6 +8095,176 @@
         _liveDomCoreListeners[namespace] = [];
     }
 
+    /*==============================
+      GENERIC TRIGGERS (live-on)
+    ==============================*/
+
+    /**
+     * live-on="event[filter].modifiers: methods; event2: methods2"
+     *
+     *   live-on="keydown[key=='Enter'].prevent: save"
+     *   live-on="blur: validate"
+     *   live-on="click.outside: close; keydown[key=='Escape'].window: close"
+     *   live-on="input.debounce.300ms: search"
+     *   live-on="submit.prevent.once: register"
+     *
+     * Event apa pun didukung (listener dipasang langsung di elemen, jadi
+     * event yang tidak bubbling seperti blur/focus tetap jalan). Filter di
+     * dalam [...] dievaluasi dengan `event`, `key`, `code`, `ctrlKey`,
+     * `shiftKey`, `altKey`, `metaKey`, `button` dan `this` (elemen). Modifier:
+     *   .prevent / .stop      -> preventDefault() / stopPropagation()
+     *   .once                 -> hanya sekali (setelah filter lolos)
+     *   .outside              -> event terjadi DI LUAR elemen
+     *   .window / .document   -> dengarkan event di window / document
+     *   .debounce[.300ms] / .throttle.1s -> timing per trigger
+     * Tanpa .debounce/.throttle, request langsung dikirim (live-debounce /
+     * live-throttle di elemen tetap dihormati). Semua lewat handleLiveEvent(),
+     * jadi live-scope, live-target, live-dom, live-confirm dan callback tetap
+     * berlaku.
+     */
+    const liveOnBindings = new WeakMap();
+
+    function splitTopLevel(str, separator) {
+        const parts = [];
+        let depth = 0;
+        let quote = null;
+        let current = "";
+        for (const c of str) {
+            if (quote) {
+                if (c === quote) quote = null;
+            } else if (c === "'" || c === '"' || c === "`") {
+                quote = c;
+            } else if (c === "(" || c === "[" || c === "{") {
+                depth++;
+            } else if (c === ")" || c === "]" || c === "}") {
+                depth--;
+            } else if (c === separator && depth === 0) {
+                parts.push(current);
+                current = "";
+                continue;
+            }
+            current += c;
+        }
+        parts.push(current);
+        return parts.map((part) => part.trim()).filter(Boolean);
+    }
+
+    function compileEventFilter(expr) {
+        try {
+            const fn = Function(
+                "event",
+                "__el",
+                `const { key, code, ctrlKey, shiftKey, altKey, metaKey, button } = event;
+                return (${expr.replace(/\bthis\b/g, "__el")});`,
+            );
+            return (event, el) => {
+                try {
+                    return !!fn(event, el);
+                } catch (e) {
+                    console.warn(`[Live Event] Error evaluating live-on filter [${expr}]:`, e.message);
+                    return false;
+                }
+            };
+        } catch (e) {
+            console.warn(`[Live Event] Invalid live-on filter [${expr}]:`, e.message);
+            return () => false;
+        }
+    }
+
+    /**
+     * @param {string} attr - Value of live-on.
+     * @returns {object[]} One binding per "event: methods" entry.
+     */
+    function parseLiveOn(attr) {
+        return splitTopLevel(attr, ";")
+            .map((entry) => {
+                const [spec, ...rest] = splitTopLevel(entry, ":");
+                const methods = rest.join(":").trim();
+                const match = spec && spec.match(/^([\w-]+)(?:\[(.*)\])?((?:\.\w+)*)$/);
+                if (!match || !methods) {
+                    console.warn(`[Live Event] Invalid live-on entry "${entry}".`);
+                    return null;
+                }
+
+                const [, event, filterExpr, modifierStr] = match;
+                const tokens = modifierStr.split(".").filter(Boolean);
+                const binding = {
+                    event,
+                    methods,
+                    filter: filterExpr ? compileEventFilter(filterExpr) : null,
+                    modifiers: new Set(),
+                };
+
+                for (let i = 0; i < tokens.length; i++) {
+                    const token = tokens[i];
+                    const next = tokens[i + 1];
+                    const hasDuration = next && /^\d+(ms|s|m)?$/.test(next);
+                    if (token === "debounce") {
+                        binding.debounce = hasDuration ? parseDuration(next) : defaultDebounceMs();
+                        if (hasDuration) i++;
+                    } else if (token === "throttle") {
+                        binding.throttle = hasDuration ? parseDuration(next) : defaultDebounceMs();
+                        if (hasDuration) i++;
+                    } else {
+                        binding.modifiers.add(token);
+                    }
+                }
+                return binding;
+            })
+            .filter(Boolean);
+    }
+
+    function bindLiveOn(el, bindings) {
+        const teardowns = bindings.map((binding) => {
+            const { modifiers } = binding;
+            const target = modifiers.has("window")
+                ? window
+                : modifiers.has("document") || modifiers.has("outside")
+                    ? document
+                    : el;
+
+            const timing =
+                binding.throttle !== undefined
+                    ? { debounce: 0, throttle: binding.throttle }
+                    : binding.debounce !== undefined
+                        ? { debounce: binding.debounce }
+                        : resolveLiveTiming(el, "click");
+
+            const remove = () => target.removeEventListener(binding.event, listener);
+            const listener = (event) => {
+                // Listener global milik elemen yang sudah dibuang dari DOM.
+                if (!el.isConnected) return remove();
+                if (modifiers.has("outside") && el.contains(event.target)) return;
+                if (binding.filter && !binding.filter(event, el)) return;
+
+                if (modifiers.has("prevent")) event.preventDefault();
+                if (modifiers.has("stop")) event.stopPropagation();
+                if (modifiers.has("once")) remove();
+
+                handleLiveEvent(el, binding.event === "submit" ? "submit" : "on", {
+                    methods: binding.methods,
+                    timing,
+                });
+            };
+
+            target.addEventListener(binding.event, listener);
+            return remove;
+        });
+
+        return () => teardowns.forEach((teardown) => teardown());
+    }
+
+    function handleLiveOn() {
+        qsa("[live-on]").forEach((el) => {
+            const attr = el.getAttribute("live-on");
+            const bound = liveOnBindings.get(el);
+            if (bound && bound.attr === attr) return;
+            if (bound) bound.teardown();
+
+            liveOnBindings.set(el, { attr, teardown: bindLiveOn(el, parseLiveOn(attr)) });
+        });
+    }
+
     function handleLiveBind() {
         // FIX (bug #1): namespaced + off-before-on supaya handler tidak
         // menumpuk setiap kali initLiveDom() dipanggil ulang (live-dom:afterUpdate / afterSpa).
@@ -3972,6 +8320,9 @@
         undelegateNamespace("liveDomCore");
 
         delegate("liveDomCore", "click", "[live-click]", (e, target) => {
+            // live-click di elemen lazy hanya menyimpan nama method untuk
+            // intersect, bukan trigger klik.
+            if (isLazyClickHolder(target)) return;
             handleLiveEvent(target, "click");
         });
 
@@ -4000,6 +8351,11 @@
             handleLiveEvent(target, "input");
         });
 
+        delegate("liveDomCore", "click", "[live-upload-cancel]", (e, target) => {
+            e.preventDefault();
+            cancelUploads(target);
+        });
+
         // event binding, pakai debounce
         const debouncedDirectives = debounce((e, target) => {
             const scope = closestAncestor(target, "[live-scope]");
@@ -4110,7 +8466,9 @@
         initLoadingBar(); // loading bar
         handleLiveBind(); // live-bind
         bindLiveDomEvents(); // event handler utama
+        handleLiveOn(); // live-on (event generik + modifier)
         handlePollers(); // pollers (live-poll)
+        handleLazyElements(); // live-lazy / live-trigger="intersect"
         // handleLiveComputeUnified();     // inisialisasi live-compute
         // handleLiveDirectives();
 
@@ -1,5 +1,6 @@
 @once
     @push('scripts')
+        <meta name="livedom-endpoint" content="{{ rtrim(request()->getBaseUrl(), '/') }}/{{ trim(config('livedomjs.route_prefix', 'ajax'), '/') }}">
         <script src="{{ asset('vendor/livedomjs/livedom.js') }}"></script>
     @endpush
 @endonce
@@ -0,0 +1,55 @@
+<?php
+
+use GadingRengga\LiveDomJS\Support\LiveResponse;
+use GadingRengga\LiveDomJS\Support\LiveStream;
+
+if (!function_exists('liveDomInvalidate')) {
+    /**
+     * Invalidate client-side LiveDomJS cache entries by tag.
+     *
+     * Panggil dari action yang mengubah data (mis. simpan produk) supaya
+     * entry live-cache dengan live-cache-tags yang cocok dibuang di client.
+     * Tag dikirim lewat header X-LiveDom-Invalidate oleh AjaxController.
+     *
+     * @param string ...$tags  e.g. 'products', 'customers'
+     * @return void
+     */
+    function liveDomInvalidate(string ...$tags): void
+    {
+        $request = request();
+        $current = (array) $request->attributes->get('livedom_invalidate', []);
+
+        $request->attributes->set(
+            'livedom_invalidate',
+            array_values(array_unique(array_merge($current, array_filter($tags))))
+        );
+    }
+}
+
+
+if (!function_exists('liveResponse')) {
+    /**
+     * Build an action result carrying client-side commands.
+     *
+     * @param mixed $data  HTML/View untuk target atau array untuk auto-bind
+     * @return LiveResponse
+     */
+    function liveResponse($data = null): LiveResponse
+    {
+        return LiveResponse::make($data);
+    }
+}
+
+if (!function_exists('liveStream')) {
+    /**
+     * Stream an action's output to a live-stream element as it is produced.
+     *
+     * @param callable $producer  function (callable $emit): void
+     * @param string $format  html | ndjson
+     * @return LiveStream
+     */
+    function liveStream(callable $producer, string $format = 'html'): LiveStream
+    {
+        return new LiveStream($producer, $format);
+    }
+}
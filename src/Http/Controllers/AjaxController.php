@@ -7,8 +7,18 @@ use Illuminate\Http\Request;
 use Illuminate\Http\JsonResponse;
 use Illuminate\View\View;
 use Illuminate\Support\Facades\Log;
+use Illuminate\Validation\ValidationException;
+use Illuminate\Auth\Access\AuthorizationException;
+use Illuminate\Auth\AuthenticationException;
+use Illuminate\Database\Eloquent\ModelNotFoundException;
+use Symfony\Component\HttpKernel\Exception\HttpExceptionInterface;
+use Symfony\Component\HttpFoundation\Response;
+use Symfony\Component\HttpFoundation\StreamedResponse;
 use Throwable;
 use Illuminate\Routing\Controller;
+use GadingRengga\LiveDomJS\Support\ChunkedUpload;
+use GadingRengga\LiveDomJS\Support\LiveResponse;
+use GadingRengga\LiveDomJS\Support\LiveStream;
 
 class AjaxController extends Controller
 {
@@ -18,22 +28,48 @@ class AjaxController extends Controller
      * @param string $controller
      * @param string $action
      * @param Request $request
-     * @return JsonResponse
+     * @return Response  JsonResponse, atau StreamedResponse untuk liveStream()
      */
-    public function handle(string $controller, string $action, Request $request): JsonResponse
+    public function handle(string $controller, string $action, Request $request): Response
     {
         try {
             // Validate controller and action names
             $this->validateInput($controller, $action);
 
-            $controllerClass = $this->resolveControllerClass($controller);
-
-            if (!class_exists($controllerClass) || !method_exists($controllerClass, $action)) {
+            if (!$this->actionExists($controller, $action)) {
                 return $this->errorResponse('Controller or Action not found', 404);
             }
 
-            $controllerInstance = app($controllerClass);
-            $result = $controllerInstance->$action($request);
+            // Chunked upload (live-upload-chunk): chunk hanya disimpan, action
+            // baru dipanggil di request final yang membawa _chunk_uploads.
+            if ($request->has('_chunk')) {
+                if (!$this->chunkUploadAllowed($controller, $action, $request)) {
+                    return $this->errorResponse('Chunked upload not allowed', 403);
+                }
+
+                return response()->json([
+                    'success' => true,
+                    'message' => 'Upload chunk handled',
+                    'data'    => ChunkedUpload::handle($request),
+                ]);
+            }
+
+            $uploadIds = ChunkedUpload::assemble($request);
+
+            try {
+                $result = $this->callAction($controller, $action, $request);
+            } finally {
+                ChunkedUpload::cleanup($request, $uploadIds);
+            }
+
+            // === STREAM MODE (live-stream) ===
+            // Response streaming dikirim apa adanya, tanpa envelope JSON.
+            if ($result instanceof LiveStream) {
+                $result = $result->toResponse($request);
+            }
+            if ($result instanceof StreamedResponse) {
+                return $result;
+            }
 
             // === REALTIME MODE ===
             // Jika request menandakan broadcast (bukan fetch ulang dari client lain),
@@ -65,8 +101,25 @@ class AjaxController extends Controller
                 ]);
             }
 
-            return $this->handleSuccessResponse($result);
+            return $this->withInvalidationHeader($this->handleSuccessResponse($result), $request);
+        } catch (ValidationException $e) {
+            // Validasi gagal bukan error server: selalu kembalikan 422 JSON
+            // (juga saat debug) supaya client bisa menandai field yang salah.
+            return response()->json([
+                'success' => false,
+                'message' => $e->getMessage(),
+                'errors'  => $e->errors(),
+            ], $e->status);
         } catch (Throwable $e) {
+            $status = $this->statusFor($e);
+
+            // abort(403), authorize(), findOrFail() dan sejenisnya bukan error
+            // server: kembalikan status aslinya supaya live-on-403 /
+            // LiveDom.config.onStatus di client bisa menanganinya.
+            if ($status >= 400 && $status < 500) {
+                return $this->errorResponse($this->clientErrorMessage($e, $status), $status, $e->getMessage());
+            }
+
             Log::error('AjaxController Error', [
                 'controller' => $controller,
                 'action' => $action,
@@ -78,8 +131,272 @@ class AjaxController extends Controller
                 throw $e;
             }
 
-            return $this->errorResponse('An error occurred while executing the action', 500, $e->getMessage());
+            return $this->errorResponse('An error occurred while executing the action', $status, $e->getMessage());
+        }
+    }
+
+    /**
+     * Handle several controller action calls in a single request.
+     *
+     * Dipakai oleh live-batch di client: satu klik dengan rantai method
+     * (mis. "save, refreshTotals, reloadSidebar") cukup satu round trip.
+     * Setiap call dijalankan berurutan dengan Request-nya sendiri, dan
+     * error di satu call tidak menghentikan call lainnya — hasilnya
+     * dilaporkan per call di `results`.
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function batch(Request $request): JsonResponse
+    {
+        $calls = (array) $request->input('calls', []);
+        $results = [];
+
+        foreach ($calls as $index => $call) {
+            $results[] = $this->runBatchCall($request, (array) $call, $index);
+        }
+
+        return $this->withInvalidationHeader(response()->json([
+            'success' => true,
+            'batch'   => true,
+            'message' => count($results) . ' batched actions executed',
+            'results' => $results,
+        ]), $request);
+    }
+
+    /**
+     * Return the current CSRF token.
+     *
+     * Dipanggil livedom.js saat request gagal dengan 419 (tab dibiarkan
+     * terbuka sampai session kadaluarsa): client memperbarui meta tag
+     * csrf-token lalu mengirim ulang request-nya sekali.
+     *
+     * @param Request $request
+     * @return JsonResponse
+     */
+    public function csrf(Request $request): JsonResponse
+    {
+        return response()
+            ->json(['token' => csrf_token()])
+            ->header('Cache-Control', 'no-store, private');
+    }
+
+    /**
+     * Run one call of a batch and convert its outcome to an envelope array.
+     *
+     * @param Request $request
+     * @param array $call
+     * @param int|string $index
+     * @return array
+     */
+    protected function runBatchCall(Request $request, array $call, $index): array
+    {
+        $controller = (string) ($call['controller'] ?? '');
+        $action = (string) ($call['action'] ?? '');
+
+        try {
+            $this->validateInput($controller, $action);
+
+            if (!$this->actionExists($controller, $action)) {
+                return ['success' => false, 'status' => 404, 'message' => 'Controller or Action not found'];
+            }
+
+            $data = (array) ($call['data'] ?? []);
+            if (!empty($call['json'])) {
+                $data = array_merge($data, (array) json_decode($call['json'], true));
+            }
+
+            // live-method per call; batch-nya sendiri selalu POST. Data GET
+            // dipasang di query supaya $request->input() tetap membacanya.
+            $method = strtoupper((string) ($call['method'] ?? 'POST'));
+            if (!in_array($method, ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'], true)) {
+                $method = 'POST';
+            }
+            $isGet = $method === 'GET';
+
+            $callRequest = $request->duplicate(
+                $isGet ? array_merge($request->query->all(), $data) : $request->query->all(),
+                $isGet ? [] : $data,
+                null,
+                null,
+                (array) $request->file("calls.{$index}.data", [])
+            );
+            $callRequest->setMethod($method);
+
+            // Helper request() / facade Request di dalam controller harus
+            // melihat data call ini, bukan payload batch mentah.
+            $previousRequest = app('request');
+            app()->instance('request', $callRequest);
+
+            try {
+                $result = $this->callAction($controller, $action, $callRequest);
+            } finally {
+                app()->instance('request', $previousRequest);
+            }
+
+            // Tag dari liveDomInvalidate() di dalam call ini ikut header batch.
+            $request->attributes->set('livedom_invalidate', array_values(array_unique(array_merge(
+                (array) $request->attributes->get('livedom_invalidate', []),
+                (array) $callRequest->attributes->get('livedom_invalidate', [])
+            ))));
+
+            return $this->buildSuccessPayload($result);
+        } catch (Throwable $e) {
+            Log::error('AjaxController Batch Error', [
+                'controller' => $controller,
+                'action' => $action,
+                'error' => $e->getMessage(),
+            ]);
+
+            $status = $this->statusFor($e);
+            $payload = [
+                'success' => false,
+                'status'  => $status,
+                'message' => $status >= 400 && $status < 500
+                    ? $this->clientErrorMessage($e, $status)
+                    : 'An error occurred while executing the action',
+            ];
+
+            if ($e instanceof ValidationException) {
+                $payload['errors'] = $e->errors();
+            }
+
+            if (config('app.debug')) {
+                $payload['error'] = $e->getMessage();
+            }
+
+            return $payload;
+        }
+    }
+
+    /**
+     * Attach the cache tags collected by liveDomInvalidate() as a header
+     *
+     * @param JsonResponse $response
+     * @param Request $request
+     * @return JsonResponse
+     */
+    protected function withInvalidationHeader(JsonResponse $response, Request $request): JsonResponse
+    {
+        $tags = (array) $request->attributes->get('livedom_invalidate', []);
+
+        if (!empty($tags)) {
+            $response->headers->set('X-LiveDom-Invalidate', implode(',', $tags));
+        }
+
+        return $response;
+    }
+
+    /**
+     * Map an exception to the HTTP status it would normally produce.
+     *
+     * @param Throwable $e
+     * @return int
+     */
+    protected function statusFor(Throwable $e): int
+    {
+        if ($e instanceof ValidationException) {
+            return 422;
+        }
+
+        if ($e instanceof HttpExceptionInterface) {
+            return $e->getStatusCode();
+        }
+
+        if ($e instanceof AuthenticationException) {
+            return 401;
+        }
+
+        if ($e instanceof AuthorizationException) {
+            // denyWithStatus() / denyAsNotFound() membawa status sendiri.
+            return method_exists($e, 'status') && $e->status() ? $e->status() : 403;
+        }
+
+        if ($e instanceof ModelNotFoundException) {
+            return 404;
+        }
+
+        return 500;
+    }
+
+    /**
+     * Message for a 4xx response: the exception's own message when it is
+     * meant for the user, otherwise the standard status text.
+     *
+     * @param Throwable $e
+     * @param int $status
+     * @return string
+     */
+    protected function clientErrorMessage(Throwable $e, int $status): string
+    {
+        // Pesan ModelNotFoundException memuat nama class model — jangan bocor.
+        $userFacing = $e instanceof HttpExceptionInterface
+            || $e instanceof AuthorizationException
+            || $e instanceof AuthenticationException
+            || $e instanceof ValidationException;
+
+        if ($userFacing && $e->getMessage() !== '') {
+            return $e->getMessage();
+        }
+
+        return Response::$statusTexts[$status] ?? 'Request failed';
+    }
+
+    /**
+     * Check that the resolved controller class and method exist
+     *
+     * @param string $controller
+     * @param string $action
+     * @return bool
+     */
+    protected function actionExists(string $controller, string $action): bool
+    {
+        $controllerClass = $this->resolveControllerClass($controller);
+
+        return class_exists($controllerClass) && method_exists($controllerClass, $action);
+    }
+
+    /**
+     * Decide whether chunks may be stored for this action.
+     *
+     * Chunk disimpan ke disk SEBELUM action (dan pengecekan otorisasi di
+     * dalamnya) jalan, jadi default-nya DITOLAK. Izinkan lewat method
+     * controller `authorizeChunkUpload(Request $request, string $action): bool`
+     * atau daftar `chunk_actions` di config ("Controller@action" /
+     * "Controller@*", nama controller seperti di URL).
+     *
+     * @param string $controller
+     * @param string $action
+     * @param Request $request
+     * @return bool
+     */
+    protected function chunkUploadAllowed(string $controller, string $action, Request $request): bool
+    {
+        $controllerInstance = app($this->resolveControllerClass($controller));
+
+        if (method_exists($controllerInstance, 'authorizeChunkUpload')) {
+            return (bool) $controllerInstance->authorizeChunkUpload($request, $action);
         }
+
+        $allowed = (array) config('livedomjs.chunk_actions', []);
+
+        return in_array("{$controller}@{$action}", $allowed, true)
+            || in_array("{$controller}@*", $allowed, true);
+    }
+
+    /**
+     * Resolve the controller from the container and invoke the action
+     *
+     * @param string $controller
+     * @param string $action
+     * @param Request $request
+     * @return mixed
+     */
+    protected function callAction(string $controller, string $action, Request $request)
+    {
+        $controllerInstance = app($this->resolveControllerClass($controller));
+
+        return $controllerInstance->$action($request);
     }
 
     /**
@@ -123,12 +440,38 @@ class AjaxController extends Controller
      * @return JsonResponse
      */
     protected function handleSuccessResponse($result): JsonResponse
+    {
+        return response()->json($this->buildSuccessPayload($result));
+    }
+
+    /**
+     * Build the success envelope for an action result
+     *
+     * @param mixed $result
+     * @return array
+     */
+    protected function buildSuccessPayload($result): array
     {
         $response = [
             'success' => true,
             'message' => 'Controller and Action executed successfully',
         ];
 
+        // liveResponse(): data + fragments + commands yang dijalankan client setelah swap
+        if ($result instanceof LiveResponse) {
+            $response['message'] = $result->getMessage() ?? $response['message'];
+            $response['commands'] = $result->getCommands();
+            if ($result->getFragments()) {
+                $response['fragments'] = $result->getFragments();
+            }
+            if ($result->isView()) {
+                $response['is_view'] = true;
+            }
+            $response['data'] = $result->getData();
+
+            return $response;
+        }
+
         if ($result instanceof View) {
             $response['data'] = $result->render();
             $response['is_view'] = true;
@@ -136,7 +479,7 @@ class AjaxController extends Controller
             $response['data'] = $result;
         }
 
-        return response()->json($response);
+        return $response;
     }
 
     /**
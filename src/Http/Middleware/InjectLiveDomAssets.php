@@ -37,6 +37,15 @@ class InjectLiveDomAssets
 
         $tags = $this->buildAssetTags($request);
 
+        // Meta endpoint sebaiknya ada di <head>; kalau tidak ada <head>
+        // (partial/fragment), ikut ditempel bersama tag script.
+        $endpointMeta = $this->buildEndpointMeta($request);
+        if (str_contains($content, '</head>')) {
+            $content = str_replace('</head>', $endpointMeta . "\n</head>", $content);
+        } else {
+            $tags = $endpointMeta . "\n" . $tags;
+        }
+
         if (str_contains($content, '</body>')) {
             $content = str_replace('</body>', $tags . "\n</body>", $content);
         } else {
@@ -84,6 +93,20 @@ class InjectLiveDomAssets
         return $tags;
     }
 
+    /**
+     * Meta tag berisi base URL endpoint AJAX dinamis — sudah memperhitungkan
+     * route_prefix dari config dan sub-path aplikasi (mis. app yang di-serve
+     * dari /erp/ menghasilkan "/erp/ajax"). livedom.js membaca meta ini,
+     * jadi tidak lagi mengasumsikan "/ajax" secara hardcode.
+     */
+    protected function buildEndpointMeta(Request $request): string
+    {
+        $prefix = trim(config('livedomjs.route_prefix', 'ajax'), '/');
+        $endpoint = rtrim($request->getBaseUrl(), '/') . '/' . $prefix;
+
+        return '<meta name="livedom-endpoint" content="' . e($endpoint) . '">';
+    }
+
     /**
      * Placeholder hook — bisa dikembangkan untuk deteksi jQuery yang sudah
      * di-load manual oleh developer. livedom.js sendiri tidak butuh jQuery;
@@ -54,6 +54,17 @@ class LiveDomServiceProvider extends ServiceProvider
         $prefix = config('livedomjs.route_prefix', 'ajax');
         $middleware = config('livedomjs.route_middleware', ['web']);
 
+        // Batch endpoint (live-batch) — satu segmen, jadi tidak bentrok
+        // dengan pola /{controller}/{action} di bawah.
+        Route::middleware($middleware)
+            ->post("/{$prefix}/_batch", [AjaxController::class, 'batch'])
+            ->name('livedomjs.batch');
+
+        // Token CSRF baru untuk client yang kena 419 (session kadaluarsa).
+        Route::middleware($middleware)
+            ->get("/{$prefix}/_csrf", [AjaxController::class, 'csrf'])
+            ->name('livedomjs.csrf');
+
         Route::middleware($middleware)
             ->any("/{$prefix}/{controller}/{action}", [AjaxController::class, 'handle'])
             ->where('controller', '[a-zA-Z0-9\/\.]+')
@@ -0,0 +1,329 @@
+<?php
+
+namespace GadingRengga\LiveDomJS\Support;
+
+use Illuminate\Http\Request;
+use Illuminate\Http\UploadedFile;
+use Illuminate\Support\Arr;
+use Illuminate\Support\Facades\File;
+use Symfony\Component\HttpKernel\Exception\HttpException;
+use Throwable;
+
+/**
+ * Server side of live-upload-chunk.
+ *
+ * Client mengirim file besar dalam beberapa request `_chunk[...]` ke action
+ * yang sama, lalu satu request final berisi `_chunk_uploads[<id>]=<field>`.
+ * Chunk disimpan di direktori sementara per upload id; saat request final,
+ * chunk dirakit kembali menjadi UploadedFile dan dipasang ke `$request`
+ * sehingga action membaca `$request->file('field')` seperti upload biasa.
+ */
+class ChunkedUpload
+{
+    /**
+     * Handle a chunk protocol request: "status", "put" or "cancel"
+     *
+     * Request yang tidak valid atau melebihi batas ditolak dengan
+     * HttpException 4xx (400 / 413 / 429) sebelum apa pun ditulis ke disk.
+     *
+     * @param Request $request
+     * @return array
+     * @throws HttpException
+     */
+    public static function handle(Request $request): array
+    {
+        $chunk = (array) $request->input('_chunk', []);
+        $id = static::sanitizeId((string) ($chunk['id'] ?? ''));
+        $dir = static::directory($request, $id);
+        $op = $chunk['op'] ?? 'put';
+
+        // Upload yang ditinggalkan dibersihkan di setiap request chunk, bukan
+        // hanya saat "status", supaya chunk_path tidak terus membesar.
+        static::purgeStale();
+
+        if ($op === 'status') {
+            return ['received' => static::receivedIndexes($dir)];
+        }
+
+        if ($op === 'cancel') {
+            File::deleteDirectory($dir);
+
+            return ['cancelled' => true];
+        }
+
+        $index = filter_var($chunk['index'] ?? null, FILTER_VALIDATE_INT);
+        $count = filter_var($chunk['count'] ?? null, FILTER_VALIDATE_INT);
+        $part = $request->file('_chunk_data');
+
+        if ($index === false || $count === false || $index < 0 || $index >= $count || !$part || !$part->isValid()) {
+            throw new HttpException(400, 'Invalid upload chunk');
+        }
+
+        $maxChunks = (int) config('livedomjs.chunk_max_chunks', 10000);
+        $maxSize = (int) config('livedomjs.chunk_max_size', 1024 * 1024 * 1024);
+        $declaredSize = (int) ($chunk['size'] ?? 0);
+
+        if ($count > $maxChunks) {
+            throw new HttpException(413, "Upload exceeds {$maxChunks} chunks");
+        }
+
+        // Chunk yang dikirim ulang (resume) menggantikan file lamanya.
+        $storedBytes = static::storedBytes($dir, $index) + (int) $part->getSize();
+        if ($declaredSize > $maxSize || $storedBytes > $maxSize) {
+            throw new HttpException(413, "Upload exceeds {$maxSize} bytes");
+        }
+
+        // Batas per pemilik (session / IP): tanpa ini satu pengunjung bisa
+        // membuka upload id baru terus-menerus sampai disk penuh.
+        $ownerDirs = File::glob(static::ownerPrefix($request) . '*', GLOB_ONLYDIR);
+        $maxUploads = (int) config('livedomjs.chunk_owner_max_uploads', 5);
+        if (!File::isDirectory($dir) && count($ownerDirs) >= $maxUploads) {
+            throw new HttpException(429, "Too many unfinished uploads (max {$maxUploads})");
+        }
+
+        $ownerMaxSize = (int) config('livedomjs.chunk_owner_max_size', 2 * 1024 * 1024 * 1024);
+        $ownerBytes = (int) $part->getSize();
+        foreach ($ownerDirs as $ownerDir) {
+            $ownerBytes += static::storedBytes($ownerDir, $ownerDir === $dir ? $index : -1);
+        }
+        if ($ownerBytes > $ownerMaxSize) {
+            throw new HttpException(413, "Unfinished uploads exceed {$ownerMaxSize} bytes");
+        }
+
+        File::ensureDirectoryExists($dir);
+        $part->move($dir, "{$index}.part");
+
+        File::put("{$dir}/meta.json", json_encode([
+            'name'  => basename((string) ($chunk['name'] ?? 'upload')),
+            'type'  => (string) ($chunk['type'] ?? 'application/octet-stream'),
+            'size'  => $declaredSize,
+            'count' => $count,
+        ]));
+
+        return ['received' => static::receivedIndexes($dir)];
+    }
+
+    /**
+     * Assemble every upload referenced by `_chunk_uploads` into the request files
+     *
+     * @param Request $request
+     * @return array Upload ids that were assembled (pass to cleanup()).
+     * @throws HttpException
+     */
+    public static function assemble(Request $request): array
+    {
+        $uploads = (array) $request->input('_chunk_uploads', []);
+        if (empty($uploads)) {
+            return [];
+        }
+
+        $ids = array_map(fn ($id) => static::sanitizeId((string) $id), array_keys($uploads));
+        $files = $request->files->all();
+
+        try {
+            foreach (array_combine($ids, array_values($uploads)) as $id => $field) {
+                $file = static::assembleFile(static::directory($request, $id), $id);
+                static::attachFile($files, (string) $field, $file);
+            }
+        } catch (Throwable $e) {
+            // Upload yang gagal dirakit (tidak lengkap / ukuran tidak cocok)
+            // tidak bisa dilanjutkan: buang file rakitan dan semua chunk-nya.
+            static::cleanup($request, $ids);
+
+            throw $e;
+        }
+
+        $request->files->replace($files);
+        $request->request->remove('_chunk_uploads');
+
+        return $ids;
+    }
+
+    /**
+     * Put an assembled file into the request files under its form field name
+     *
+     * @param array $files
+     * @param string $field
+     * @param UploadedFile $file
+     * @return void
+     */
+    protected static function attachFile(array &$files, string $field, UploadedFile $file): void
+    {
+        // "items[0][file]" -> "items.0.file"; akhiran [] berarti multiple.
+        $multiple = str_ends_with($field, '[]');
+        $key = trim(preg_replace('/\[([^\]]*)\]/', '.$1', preg_replace('/\[\]$/', '', $field)), '.');
+
+        if ($multiple) {
+            $existing = Arr::wrap(Arr::get($files, $key, []));
+            $existing[] = $file;
+            Arr::set($files, $key, $existing);
+        } else {
+            Arr::set($files, $key, $file);
+        }
+    }
+
+    /**
+     * Remove the temporary chunks of finished uploads
+     *
+     * @param Request $request
+     * @param array $ids
+     * @return void
+     */
+    public static function cleanup(Request $request, array $ids): void
+    {
+        foreach ($ids as $id) {
+            File::deleteDirectory(static::directory($request, $id));
+        }
+    }
+
+    /**
+     * Concatenate the chunks of one upload into a single UploadedFile
+     *
+     * @param string $dir
+     * @param string $id
+     * @return UploadedFile
+     * @throws HttpException
+     */
+    protected static function assembleFile(string $dir, string $id): UploadedFile
+    {
+        $meta = json_decode((string) @file_get_contents("{$dir}/meta.json"), true);
+
+        if (!is_array($meta) || count(static::receivedIndexes($dir)) !== (int) $meta['count']) {
+            throw new HttpException(422, "Upload {$id} is incomplete");
+        }
+
+        $path = "{$dir}/assembled";
+        $target = fopen($path, 'wb');
+
+        try {
+            for ($i = 0; $i < $meta['count']; $i++) {
+                $source = fopen("{$dir}/{$i}.part", 'rb');
+                stream_copy_to_stream($source, $target);
+                fclose($source);
+            }
+        } finally {
+            fclose($target);
+        }
+
+        if ($meta['size'] && filesize($path) !== $meta['size']) {
+            throw new HttpException(422, "Upload {$id} size mismatch");
+        }
+
+        // test=true: file ini tidak berasal dari $_FILES, jadi lewati
+        // pengecekan is_uploaded_file() milik Symfony.
+        return new UploadedFile($path, $meta['name'], $meta['type'], UPLOAD_ERR_OK, true);
+    }
+
+    /**
+     * List the chunk indexes already stored for an upload
+     *
+     * @param string $dir
+     * @return array
+     */
+    protected static function receivedIndexes(string $dir): array
+    {
+        if (!File::isDirectory($dir)) {
+            return [];
+        }
+
+        $indexes = array_map(
+            fn ($path) => (int) basename($path, '.part'),
+            File::glob("{$dir}/*.part")
+        );
+        sort($indexes);
+
+        return $indexes;
+    }
+
+    /**
+     * Total bytes already stored for an upload, not counting one chunk index
+     *
+     * @param string $dir
+     * @param int $exceptIndex
+     * @return int
+     */
+    protected static function storedBytes(string $dir, int $exceptIndex): int
+    {
+        if (!File::isDirectory($dir)) {
+            return 0;
+        }
+
+        $total = 0;
+        foreach (File::glob("{$dir}/*.part") as $path) {
+            if ((int) basename($path, '.part') !== $exceptIndex) {
+                $total += (int) filesize($path);
+            }
+        }
+
+        return $total;
+    }
+
+    /**
+     * Delete uploads that were abandoned longer than chunk_ttl hours ago
+     *
+     * @return void
+     */
+    protected static function purgeStale(): void
+    {
+        $root = static::root();
+        if (!File::isDirectory($root)) {
+            return;
+        }
+
+        $expiresBefore = time() - (int) config('livedomjs.chunk_ttl', 24) * 3600;
+
+        foreach (File::directories($root) as $dir) {
+            if (File::lastModified($dir) < $expiresBefore) {
+                File::deleteDirectory($dir);
+            }
+        }
+    }
+
+    /**
+     * @param string $id
+     * @return string
+     * @throws HttpException
+     */
+    protected static function sanitizeId(string $id): string
+    {
+        if (!preg_match('/^[a-zA-Z0-9_-]{1,64}$/', $id)) {
+            throw new HttpException(400, 'Invalid upload id');
+        }
+
+        return $id;
+    }
+
+    /**
+     * Chunk directory of an upload, namespaced per session (or IP) so two
+     * users uploading an identical file never share chunks.
+     *
+     * @param Request $request
+     * @param string $id
+     * @return string
+     */
+    protected static function directory(Request $request, string $id): string
+    {
+        return static::ownerPrefix($request) . $id;
+    }
+
+    /**
+     * Path prefix shared by every chunk directory of the current session (or IP)
+     *
+     * @param Request $request
+     * @return string
+     */
+    protected static function ownerPrefix(Request $request): string
+    {
+        $owner = $request->hasSession() ? $request->session()->getId() : $request->ip();
+
+        return static::root() . '/' . substr(sha1((string) $owner), 0, 16) . '_';
+    }
+
+    /**
+     * @return string
+     */
+    protected static function root(): string
+    {
+        return rtrim(config('livedomjs.chunk_path') ?: storage_path('app/livedom-chunks'), '/');
+    }
+}
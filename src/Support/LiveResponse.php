@@ -0,0 +1,324 @@
+<?php
+
+namespace GadingRengga\LiveDomJS\Support;
+
+use Illuminate\Contracts\Support\Responsable;
+use Illuminate\Http\JsonResponse;
+use Illuminate\View\View;
+
+/**
+ * Action result with client-side commands.
+ *
+ * Selain `data` (HTML untuk target atau object untuk autoBindDomFromResponse),
+ * action bisa mengirim daftar `commands` yang dijalankan client setelah DOM
+ * di-swap — pengganti global function live-callback-after:
+ *
+ *   return liveResponse(view('orders.row', compact('order')))
+ *       ->toast('Order tersimpan')
+ *       ->dispatch('order:saved', ['id' => $order->id])
+ *       ->closeModal('#order-modal');
+ *
+ * Command dijalankan berurutan sesuai urutan pemanggilan method. Fragment
+ * (lihat fragment()) di-swap ke elemen lain bersamaan dengan target utama.
+ */
+class LiveResponse implements Responsable
+{
+    /**
+     * @var mixed
+     */
+    protected $data;
+
+    /**
+     * @var string|null
+     */
+    protected ?string $message = null;
+
+    /**
+     * @var array<int, array>
+     */
+    protected array $commands = [];
+
+    /**
+     * @var array<string, array>
+     */
+    protected array $fragments = [];
+
+    /**
+     * @param mixed $data
+     */
+    public function __construct($data = null)
+    {
+        $this->data = $data;
+    }
+
+    /**
+     * @param mixed $data
+     * @return static
+     */
+    public static function make($data = null): static
+    {
+        return new static($data);
+    }
+
+    /**
+     * Set the payload swapped into the target
+     *
+     * @param mixed $data
+     * @return $this
+     */
+    public function data($data): static
+    {
+        $this->data = $data;
+
+        return $this;
+    }
+
+    /**
+     * Override the envelope message
+     *
+     * @param string $message
+     * @return $this
+     */
+    public function message(string $message): static
+    {
+        $this->message = $message;
+
+        return $this;
+    }
+
+    /**
+     * Swap an extra fragment into another element, besides the primary target
+     *
+     * @param string $selector
+     * @param View|string $html
+     * @param string|null $dom  html | text | append | value | ... (default auto)
+     * @return $this
+     */
+    public function fragment(string $selector, $html, ?string $dom = null): static
+    {
+        $this->fragments[$selector] = array_filter([
+            'html' => $html instanceof View ? $html->render() : (string) $html,
+            'dom'  => $dom,
+        ], fn ($value) => $value !== null);
+
+        return $this;
+    }
+
+    /**
+     * Navigate to a URL (lewat SPA router kalau tersedia)
+     *
+     * @param string $url
+     * @param bool $spa  false = selalu full page load
+     * @return $this
+     */
+    public function redirect(string $url, bool $spa = true): static
+    {
+        return $this->command('redirect', ['url' => $url, 'spa' => $spa]);
+    }
+
+    /**
+     * Show a toast notification
+     *
+     * @param string $message
+     * @param string $level  success | info | warning | error
+     * @param string|null $title
+     * @param int|null $duration  Milliseconds, 0 = sampai ditutup user
+     * @return $this
+     */
+    public function toast(string $message, string $level = 'success', ?string $title = null, ?int $duration = null): static
+    {
+        return $this->command('toast', array_filter([
+            'message'  => $message,
+            'level'    => $level,
+            'title'    => $title,
+            'duration' => $duration,
+        ], fn ($value) => $value !== null));
+    }
+
+    /**
+     * Dispatch a browser CustomEvent
+     *
+     * @param string $event
+     * @param array $detail
+     * @param string|null $target  Selector; default elemen pemicu (bubbles)
+     * @return $this
+     */
+    public function dispatch(string $event, array $detail = [], ?string $target = null): static
+    {
+        return $this->command('dispatch', array_filter([
+            'event'  => $event,
+            'detail' => $detail,
+            'target' => $target,
+        ], fn ($value) => $value !== null));
+    }
+
+    /**
+     * Focus the first element matching a selector
+     *
+     * @param string $selector
+     * @return $this
+     */
+    public function focus(string $selector): static
+    {
+        return $this->command('focus', ['selector' => $selector]);
+    }
+
+    /**
+     * Scroll an element into view
+     *
+     * @param string $selector
+     * @param string $block  start | center | end | nearest
+     * @return $this
+     */
+    public function scrollTo(string $selector, string $block = 'start'): static
+    {
+        return $this->command('scroll', ['selector' => $selector, 'block' => $block]);
+    }
+
+    /**
+     * Fire the live-* action of existing elements (mis. tombol "reload")
+     *
+     * @param string $selector
+     * @param string $event  click | submit | change | ...
+     * @return $this
+     */
+    public function trigger(string $selector, string $event = 'click'): static
+    {
+        return $this->command('trigger', ['selector' => $selector, 'event' => $event]);
+    }
+
+    /**
+     * Call another controller action, like LiveDom.call()
+     *
+     * @param string $controller
+     * @param string $action
+     * @param array $data
+     * @param string|null $target
+     * @param string|null $dom
+     * @return $this
+     */
+    public function call(string $controller, string $action, array $data = [], ?string $target = null, ?string $dom = null): static
+    {
+        return $this->command('call', array_filter([
+            'controller' => $controller,
+            'action'     => $action,
+            'data'       => $data,
+            'target'     => $target,
+            'dom'        => $dom,
+        ], fn ($value) => $value !== null));
+    }
+
+    /**
+     * Reload live-spa-region(s) from the current URL; tanpa argumen = semua
+     *
+     * @param string ...$regions
+     * @return $this
+     */
+    public function refresh(string ...$regions): static
+    {
+        return $this->command('refresh', ['regions' => $regions]);
+    }
+
+    /**
+     * Close a modal (<dialog>, Bootstrap modal, atau elemen biasa)
+     *
+     * @param string|null $selector  Default: modal terdekat dari elemen pemicu
+     * @return $this
+     */
+    public function closeModal(?string $selector = null): static
+    {
+        return $this->command('closeModal', array_filter(['selector' => $selector]));
+    }
+
+    /**
+     * Start a file download
+     *
+     * @param string $url
+     * @param string|null $filename
+     * @return $this
+     */
+    public function download(string $url, ?string $filename = null): static
+    {
+        return $this->command('download', array_filter(['url' => $url, 'filename' => $filename]));
+    }
+
+    /**
+     * Append a raw command, e.g. one registered with LiveDom.registerCommand()
+     *
+     * @param string $type
+     * @param array $payload
+     * @return $this
+     */
+    public function command(string $type, array $payload = []): static
+    {
+        $this->commands[] = ['type' => $type] + $payload;
+
+        return $this;
+    }
+
+    /**
+     * @return mixed
+     */
+    public function getData()
+    {
+        return $this->data instanceof View ? $this->data->render() : $this->data;
+    }
+
+    /**
+     * @return bool
+     */
+    public function isView(): bool
+    {
+        return $this->data instanceof View;
+    }
+
+    /**
+     * @return string|null
+     */
+    public function getMessage(): ?string
+    {
+        return $this->message;
+    }
+
+    /**
+     * @return array<int, array>
+     */
+    public function getCommands(): array
+    {
+        return $this->commands;
+    }
+
+    /**
+     * @return array<string, array>
+     */
+    public function getFragments(): array
+    {
+        return $this->fragments;
+    }
+
+    /**
+     * Build the JSON envelope, so the class also works as a plain route response
+     *
+     * @param \Illuminate\Http\Request $request
+     * @return JsonResponse
+     */
+    public function toResponse($request): JsonResponse
+    {
+        $response = [
+            'success'  => true,
+            'message'  => $this->message ?? 'Controller and Action executed successfully',
+            'data'     => $this->getData(),
+            'commands' => $this->commands,
+        ];
+
+        if ($this->fragments) {
+            $response['fragments'] = $this->fragments;
+        }
+
+        if ($this->isView()) {
+            $response['is_view'] = true;
+        }
+
+        return response()->json($response);
+    }
+}
@@ -0,0 +1,147 @@
+<?php
+
+namespace GadingRengga\LiveDomJS\Support;
+
+use Illuminate\Contracts\Support\Responsable;
+use Illuminate\Support\Facades\Log;
+use Illuminate\View\View;
+use Symfony\Component\HttpFoundation\StreamedResponse;
+use Throwable;
+
+/**
+ * Streamed action result for live-stream.
+ *
+ * Producer menerima `$emit` dan memanggilnya setiap ada potongan output;
+ * tiap emit langsung di-flush ke client sehingga target terisi bertahap:
+ *
+ *   return liveStream(function ($emit) use ($rows) {
+ *       foreach ($rows->chunk(500) as $chunk) {
+ *           $emit(view('reports.rows', ['rows' => $chunk]));
+ *       }
+ *   });
+ *
+ * Format "html" mengirim HTML mentah; format "ndjson" mengirim satu event
+ * JSON per baris (`html`, `dom`, `target`, `fragments`, `commands`,
+ * `invalidate`).
+ */
+class LiveStream implements Responsable
+{
+    /**
+     * @var callable
+     */
+    protected $producer;
+
+    /**
+     * @var string
+     */
+    protected string $format;
+
+    /**
+     * @param callable $producer  function (callable $emit): void
+     * @param string $format  html | ndjson
+     */
+    public function __construct(callable $producer, string $format = 'html')
+    {
+        if (!in_array($format, ['html', 'ndjson'], true)) {
+            throw new \InvalidArgumentException("Unsupported stream format [{$format}]");
+        }
+
+        $this->producer = $producer;
+        $this->format = $format;
+    }
+
+    /**
+     * @param callable $producer
+     * @return static
+     */
+    public static function html(callable $producer): static
+    {
+        return new static($producer, 'html');
+    }
+
+    /**
+     * @param callable $producer
+     * @return static
+     */
+    public static function ndjson(callable $producer): static
+    {
+        return new static($producer, 'ndjson');
+    }
+
+    /**
+     * Build the streamed response
+     *
+     * Tag liveDomInvalidate() yang sudah terkumpul saat action return ikut
+     * di header. Header terkirim sebelum producer jalan, jadi tag yang
+     * ditambahkan DI DALAM producer hanya sampai ke client di format ndjson
+     * (event penutup `{"invalidate": [...]}`); di format html tag itu hilang.
+     *
+     * @param \Illuminate\Http\Request $request
+     * @return StreamedResponse
+     */
+    public function toResponse($request): StreamedResponse
+    {
+        $tags = (array) $request->attributes->get('livedom_invalidate', []);
+
+        return new StreamedResponse(function () use ($request, $tags) {
+            try {
+                ($this->producer)(fn ($chunk) => $this->emit($chunk));
+
+                $lateTags = array_values(array_diff(
+                    (array) $request->attributes->get('livedom_invalidate', []),
+                    $tags
+                ));
+                if ($lateTags && $this->format === 'ndjson') {
+                    $this->emit(['invalidate' => $lateTags]);
+                }
+            } catch (Throwable $e) {
+                Log::error('LiveStream Error', [
+                    'error' => $e->getMessage(),
+                    'trace' => $e->getTraceAsString(),
+                ]);
+
+                // Header sudah terkirim; di NDJSON error masih bisa dilaporkan
+                // sebagai event supaya client menampilkan pesan error.
+                if ($this->format === 'ndjson') {
+                    $this->emit(['error' => config('app.debug')
+                        ? $e->getMessage()
+                        : 'An error occurred while executing the action']);
+                }
+            }
+        }, 200, array_filter([
+            'Content-Type'         => $this->format === 'ndjson'
+                ? 'application/x-ndjson'
+                : 'text/html; charset=UTF-8',
+            'Cache-Control'        => 'no-cache, no-store, private',
+            'X-Accel-Buffering'    => 'no',
+            'X-LiveDom-Stream'     => $this->format,
+            'X-LiveDom-Invalidate' => $tags ? implode(',', $tags) : null,
+        ]));
+    }
+
+    /**
+     * Write and flush one chunk
+     *
+     * @param View|array|string $chunk  Array hanya untuk ndjson; string di
+     *                                  ndjson dikirim sebagai ['html' => ...]
+     * @return void
+     */
+    protected function emit($chunk): void
+    {
+        if ($chunk instanceof View) {
+            $chunk = $chunk->render();
+        }
+
+        if ($this->format === 'ndjson') {
+            $event = is_array($chunk) ? $chunk : ['html' => (string) $chunk];
+            echo json_encode($event, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES) . "\n";
+        } else {
+            echo (string) $chunk;
+        }
+
+        if (ob_get_level() > 0) {
+            @ob_flush();
+        }
+        flush();
+    }
+}